@@ -0,0 +1,213 @@
+// Append-only audit log of security-relevant room events.
+// Every entry carries the hash of the entry before it and a hash over its own
+// content plus that link, so editing, dropping or reordering entries breaks
+// the chain from that point on. Logs outlive their room for a retention
+// period so closed meetings can still be reviewed.
+
+const CryptoUtils = require('./crypto-utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('audit-log');
+const cryptoUtils = new CryptoUtils();
+
+const AUDIT_EVENTS = {
+    ROOM_CREATED: 'room.created',
+    ROOM_LOCKED: 'room.locked',
+    ROOM_CLOSED: 'room.closed',
+    PARTICIPANT_JOINED: 'participant.joined',
+    PARTICIPANT_LEFT: 'participant.left',
+    PARTICIPANT_REMOVED: 'participant.removed',
+    LOBBY_ADMITTED: 'lobby.admitted',
+    LOBBY_DENIED: 'lobby.denied',
+    ROLE_CHANGED: 'role.changed',
+    HOST_CHANGED: 'host.changed',
+    REMOTE_CONTROL: 'remote-control',
+    PASSWORD_FAILED: 'password.failed',
+    RELAY_REJECTED: 'relay.rejected'
+};
+
+// prevHash of a log's first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Events that can be triggered at will and in bulk: one entry per actor per
+// window, carrying how many were left out since the previous one
+const THROTTLED_EVENTS = new Set([AUDIT_EVENTS.RELAY_REJECTED]);
+const THROTTLE_WINDOW_MS = 60 * 1000;
+
+const CSV_COLUMNS = ['seq', 'at', 'type', 'actorId', 'targetId', 'details', 'prevHash', 'hash'];
+
+/**
+ * Hash of an entry's content and its link to the previous entry
+ * @param {Object} entry - Audit entry
+ * @returns {string} SHA-256 hex digest
+ */
+function hashEntry(entry) {
+    return cryptoUtils.hash(JSON.stringify([
+        entry.seq, entry.roomId, entry.at, entry.type, entry.actorId, entry.targetId, entry.details, entry.prevHash
+    ]));
+}
+
+/**
+ * Turn an event into the next entry of a log
+ * @param {Object|null} previous - Last entry of the log, null for a new log
+ * @param {Object} event - { roomId, type, actorId, targetId, details }
+ * @returns {Object} Chained entry
+ */
+function chainEntry(previous, { roomId, type, actorId = null, targetId = null, details = {} }) {
+    const entry = {
+        seq: previous ? previous.seq + 1 : 1,
+        roomId,
+        at: new Date().toISOString(),
+        type,
+        actorId,
+        targetId,
+        details,
+        prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    return entry;
+}
+
+/**
+ * Check that a log's entries are complete, in order and unaltered. A log the
+ * store has capped no longer starts at seq 1; it is checked from its oldest
+ * remaining entry on.
+ * @param {Object[]} entries - Entries, oldest first
+ * @returns {Object} { valid, brokenAtSeq, firstSeq } where brokenAtSeq is the first bad entry
+ */
+function verifyChain(entries) {
+    const firstSeq = entries.length > 0 ? entries[0].seq : 1;
+    let prevHash = firstSeq === 1 ? GENESIS_HASH : entries[0].prevHash;
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.seq !== firstSeq + i || entry.prevHash !== prevHash || entry.hash !== hashEntry(entry)) {
+            return { valid: false, brokenAtSeq: firstSeq + i, firstSeq };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true, brokenAtSeq: null, firstSeq };
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render entries as CSV with a header row; details are a JSON column
+ * @param {Object[]} entries - Entries, oldest first
+ * @returns {string} CSV text
+ */
+function toCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        return csvField(column === 'details' ? JSON.stringify(entry.details) : entry[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Records audit events into the room store
+ */
+class AuditLog {
+    /**
+     * @param {Object} store - Room store holding the logs
+     */
+    constructor(store) {
+        this.store = store;
+        this.throttles = new Map(); // `${roomId} ${type} ${actorId}` -> { until, suppressed }
+    }
+
+    /**
+     * Append an event to a room's log. Never throws and never makes the
+     * caller wait, so it can sit on any code path.
+     * @param {string} roomId - Room ID
+     * @param {string} type - One of AUDIT_EVENTS
+     * @param {Object} fields - { actorId, targetId, details }; actorId is null for the system
+     */
+    record(roomId, type, fields = {}) {
+        let event = { roomId, type, ...fields };
+        if (THROTTLED_EVENTS.has(type)) {
+            const suppressed = this.throttle(`${roomId} ${type} ${fields.actorId}`);
+            if (suppressed === null) return;
+            if (suppressed > 0) {
+                event = { ...event, details: { ...fields.details, suppressed } };
+            }
+        }
+        this.store.appendAuditEntry(roomId, event)
+            .catch(error => log.error('Failed to record audit event', { roomId, type, error }));
+    }
+
+    /**
+     * Let one throttled event per key and window through
+     * @param {string} key - Room, event type and actor
+     * @returns {number|null} Events left out since the last one let through,
+     * or null to leave this one out too
+     */
+    throttle(key) {
+        const now = Date.now();
+        const throttle = this.throttles.get(key);
+        if (throttle && throttle.until > now) {
+            throttle.suppressed++;
+            return null;
+        }
+
+        // Forget windows that are over, so the map only holds active senders.
+        // A window that left events out is kept until its own key's next entry
+        // has reported them.
+        this.throttles.forEach((candidate, candidateKey) => {
+            if (candidate.until <= now && candidate.suppressed === 0) {
+                this.throttles.delete(candidateKey);
+            }
+        });
+        this.throttles.set(key, { until: now + THROTTLE_WINDOW_MS, suppressed: 0 });
+        return throttle ? throttle.suppressed : 0;
+    }
+
+    /**
+     * Entries of a room's log, oldest first
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object[]>} Entries
+     */
+    async list(roomId) {
+        return this.store.listAuditEntries(roomId);
+    }
+
+    /**
+     * Every log with its size and time span
+     * @returns {Promise<Object[]>} Log summaries
+     */
+    async listLogs() {
+        return this.store.listAuditLogs();
+    }
+
+    /**
+     * Drop logs of rooms that are gone and saw no events for the retention period
+     * @param {number} retentionMs - How long a closed room's log is kept
+     * @returns {Promise<number>} How many logs were dropped
+     */
+    async prune(retentionMs) {
+        const cutoff = Date.now() - retentionMs;
+        let dropped = 0;
+        for (const summary of await this.store.listAuditLogs()) {
+            if (new Date(summary.lastAt).getTime() < cutoff && !(await this.store.getRoom(summary.roomId))) {
+                await this.store.deleteAuditLog(summary.roomId);
+                dropped++;
+            }
+        }
+        return dropped;
+    }
+}
+
+module.exports = {
+    AUDIT_EVENTS,
+    GENESIS_HASH,
+    chainEntry,
+    verifyChain,
+    toCsv,
+    AuditLog
+};
@@ -0,0 +1,84 @@
+// iCalendar (RFC 5545) invites for scheduled rooms
+
+const PRODUCT_ID = '-//QUIC RTC//Scheduled Rooms//EN';
+
+/**
+ * Format a date as a UTC iCalendar date-time (e.g. 20250101T090000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line exceeds 75 octets; continuation lines
+ * start with a single space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar invite for a room
+ * @param {Object} invite - Invite details
+ * @param {string} invite.roomId - Room ID, used for the event UID
+ * @param {string} invite.title - Event summary
+ * @param {Date} invite.startsAt - Event start
+ * @param {Date} invite.endsAt - Event end
+ * @param {string} invite.url - Link that joins the room
+ * @param {string} invite.domain - Domain used to make the UID globally unique
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+function buildRoomInvite({ roomId, title, startsAt, endsAt, url, domain }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${roomId}@${domain}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(startsAt)}`,
+        `DTEND:${formatDate(endsAt)}`,
+        `SUMMARY:${escapeText(title)}`,
+        `DESCRIPTION:${escapeText(`Join the meeting: ${url}`)}`,
+        `LOCATION:${escapeText(url)}`,
+        `URL:${url}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildRoomInvite };
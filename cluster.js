@@ -0,0 +1,103 @@
+// Cluster entry point: runs several signaling workers (server.js) behind one port.
+// The primary owns the listening socket and the room store; connections are
+// handed to workers with sticky sessions and Socket.IO broadcasts are relayed
+// between workers by the cluster adapter.
+const cluster = require('cluster');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { createRoomStore, serveRoomStore } = require('./room-store');
+const { createTurnServer } = require('./turn-server');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+// Workers drain for up to this long (see server.js); the primary waits a little longer
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 20000;
+
+const log = createLogger('cluster');
+
+// Every worker must verify the invite links any other worker signed
+if (!process.env.INVITE_SECRET) {
+  process.env.INVITE_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+// The built-in STUN/TURN server runs here, and workers mint its credentials
+if (process.env.BUILTIN_TURN_PORT && !process.env.TURN_SECRET) {
+  process.env.TURN_SECRET = crypto.randomBytes(32).toString('hex');
+}
+const turnServer = createTurnServer();
+
+let shuttingDown = false;
+
+// Shared room store, served to workers over IPC
+const roomStore = createRoomStore();
+serveRoomStore(roomStore);
+
+cluster.setupPrimary({
+  exec: path.join(__dirname, 'server.js'),
+  serialization: 'advanced' // Keep Dates intact in room store records
+});
+
+const httpServer = http.createServer();
+
+// Sticky sessions so Socket.IO polling requests always reach the same worker
+setupMaster(httpServer, {
+  loadBalancingMethod: 'least-connection'
+});
+
+// Relay Socket.IO broadcasts between workers
+setupPrimary();
+
+cluster.on('exit', (worker, code, signal) => {
+  log[shuttingDown ? 'info' : 'warn']('Worker exited', { workerPid: worker.process.pid, code, signal });
+  if (!shuttingDown) {
+    cluster.fork();
+  } else if (Object.keys(cluster.workers).length === 0) {
+    // Last worker drained; flush a pending file store write and go
+    Promise.all([roomStore.persist(), turnServer && turnServer.stop()]).then(() => {
+      log.info('Cluster primary closed');
+      process.exit(0);
+    });
+  }
+});
+
+// No socket survives a restart, so drop participants left over from a previous run
+roomStore.clearParticipants().then(() => {
+  httpServer.listen(PORT, HOST, () => {
+    log.info('Cluster primary listening', { url: `http://${HOST}:${PORT}`, workers: WORKERS });
+  });
+
+  for (let i = 0; i < WORKERS; i++) {
+    cluster.fork();
+  }
+});
+
+if (turnServer) {
+  turnServer.start().catch(error => log.error('STUN/TURN server failed to start', error));
+}
+
+// Graceful shutdown: stop accepting connections and let every worker drain
+// its clients (see drain in server.js) before the primary exits
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    if (shuttingDown) return;
+    log.info('Shutting down cluster', { signal });
+    shuttingDown = true;
+
+    httpServer.close();
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill('SIGTERM');
+    }
+
+    setTimeout(() => {
+      log.warn('Workers did not exit in time, shutting down anyway');
+      process.exit(1);
+    }, SHUTDOWN_DRAIN_MS + 5000).unref();
+  });
+});
@@ -1,4 +1,11 @@
 const crypto = require('crypto');
+const { promisify } = require('util');
+const { createLogger } = require('./logger');
+
+// Never pass keys, IVs or plaintext to this logger; only say what failed
+const log = createLogger('crypto');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
 
 /**
  * Crypto utilities for end-to-end encryption in the video conferencing app
@@ -61,13 +68,18 @@ class CryptoUtils {
         const iv = Buffer.from(ivHex, 'hex');
         const tag = Buffer.from(tagHex, 'hex');
         
-        const decipher = crypto.createDecipher(this.algorithm, key, { iv });
-        decipher.setAuthTag(tag);
-        
-        let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return decrypted;
+        try {
+            const decipher = crypto.createDecipher(this.algorithm, key, { iv });
+            decipher.setAuthTag(tag);
+
+            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+            decrypted += decipher.final('utf8');
+
+            return decrypted;
+        } catch (error) {
+            log.warn('Decryption failed', { algorithm: this.algorithm, reason: error.message });
+            throw error;
+        }
     }
 
     /**
@@ -110,13 +122,14 @@ class CryptoUtils {
     }
 
     /**
-     * Derive encryption key from shared secret using PBKDF2
+     * Derive encryption key from shared secret using PBKDF2, on the libuv
+     * thread pool so the 100k iterations don't block the event loop
      * @param {Buffer} sharedSecret - Shared secret from ECDH
      * @param {string} salt - Salt for key derivation
-     * @returns {Buffer} Derived encryption key
+     * @returns {Promise<Buffer>} Derived encryption key
      */
     deriveKey(sharedSecret, salt) {
-        return crypto.pbkdf2Sync(sharedSecret, salt, 100000, this.keyLength, 'sha256');
+        return pbkdf2(sharedSecret, salt, 100000, this.keyLength, 'sha256');
     }
 
     /**
@@ -136,6 +149,44 @@ class CryptoUtils {
         return crypto.createHash('sha256').update(data).digest('hex');
     }
 
+    /**
+     * Hash a password with a fresh random salt using PBKDF2
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object>} Salt and derived hash, both in hex format
+     */
+    async hashPassword(password) {
+        const salt = this.generateSalt();
+        return {
+            salt,
+            hash: (await this.deriveKey(password, salt)).toString('hex')
+        };
+    }
+
+    /**
+     * Verify a password against a stored salted hash
+     * @param {string} password - Plain-text password to check
+     * @param {string} salt - Salt the hash was derived with
+     * @param {string} hash - Expected hash in hex format
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    async verifyPassword(password, salt, hash) {
+        const candidate = await this.deriveKey(password, salt);
+        const expected = Buffer.from(hash, 'hex');
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    }
+
+    /**
+     * Compare two secrets in constant time, whatever their lengths
+     * @param {string} a - Secret supplied by a caller
+     * @param {string} b - Expected secret
+     * @returns {boolean} True if both are equal
+     */
+    safeEqual(a, b) {
+        const digestA = crypto.createHash('sha256').update(String(a)).digest();
+        const digestB = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(digestA, digestB);
+    }
+
     /**
      * Verify data integrity using HMAC
      * @param {string} data - Data to verify
@@ -147,10 +198,13 @@ class CryptoUtils {
         const hmac = crypto.createHmac('sha256', key);
         hmac.update(data);
         const computedSignature = hmac.digest('hex');
-        return crypto.timingSafeEqual(
-            Buffer.from(signature, 'hex'),
-            Buffer.from(computedSignature, 'hex')
-        );
+        const expected = Buffer.from(computedSignature, 'hex');
+        const received = Buffer.from(signature, 'hex');
+        const valid = received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        if (!valid) {
+            log.debug('HMAC verification failed');
+        }
+        return valid;
     }
 
     /**
@@ -0,0 +1,213 @@
+// Declarative payload schemas for every Socket.IO event the server handles.
+// Payloads are checked against their schema (see socket.use in server.js)
+// before any handler runs; handlers only ever see the validated copy, which
+// drops fields the schema doesn't know about.
+
+const { ASSIGNABLE_ROLES } = require('./permissions');
+
+const ERROR_CODES = {
+    UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE'
+};
+
+// Serialized payload size cap for events that don't set their own
+const DEFAULT_MAX_BYTES = 4 * 1024;
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+
+// Building blocks shared by several events
+const participantId = string({ min: 1, max: 64 });
+const roomId = string({ min: 1, max: 128 });
+const encryptedBlob = string({ max: 64 * 1024 });
+const cipherParam = string({ max: 128, optional: true });
+
+const sessionDescription = (type) => object({
+    type: string({ enum: [type] }),
+    sdp: string({ max: 60 * 1024 })
+});
+
+const iceCandidate = object({
+    candidate: string({ max: 2048 }),
+    sdpMid: string({ max: 64, optional: true, nullable: true }),
+    sdpMLineIndex: integer({ min: 0, max: 255, optional: true, nullable: true }),
+    usernameFragment: string({ max: 256, optional: true, nullable: true })
+});
+
+const EVENT_SCHEMAS = {
+    'join-room': {
+        payload: object({
+            roomId,
+            userData: object({
+                name: string({ max: 64, optional: true }),
+                username: string({ max: 64, optional: true })
+            }, { optional: true }),
+            password: string({ max: 128, optional: true }),
+            hostToken: string({ max: 128, optional: true }),
+            invite: string({ max: 1024, optional: true }),
+            sessionId: string({ max: 128, optional: true })
+        })
+    },
+    'resume-session': {
+        payload: object({
+            roomId,
+            participantId,
+            resumeToken: string({ max: 128 }),
+            sessionId: string({ max: 128, optional: true })
+        })
+    },
+    'transfer-host': { payload: object({ targetUserId: participantId }) },
+    'kick-participant': { payload: object({ targetUserId: participantId }) },
+    'ban-participant': { payload: object({ targetUserId: participantId }) },
+    'lock-room': { payload: object({ locked: boolean() }) },
+    'set-role': {
+        payload: object({
+            targetUserId: participantId,
+            role: string({ enum: ASSIGNABLE_ROLES })
+        })
+    },
+    'lobby-admit': { payload: object({ userId: participantId }) },
+    'lobby-deny': { payload: object({ userId: participantId }) },
+    'offer': {
+        payload: object({ targetUserId: participantId, offer: sessionDescription('offer') }),
+        maxBytes: 64 * 1024
+    },
+    'answer': {
+        payload: object({ targetUserId: participantId, answer: sessionDescription('answer') }),
+        maxBytes: 64 * 1024
+    },
+    'ice-candidate': {
+        payload: object({ targetUserId: participantId, candidate: iceCandidate })
+    },
+    'refresh-ice-servers': { payload: object({}, { optional: true }) },
+    'sfu-answer': {
+        payload: object({ answer: sessionDescription('answer') }),
+        maxBytes: 64 * 1024
+    },
+    'sfu-ice-candidate': { payload: object({ candidate: iceCandidate }) },
+    'encrypted-chat-message': {
+        payload: object({
+            encryptedMessage: string({ min: 1, max: 16 * 1024 }),
+            iv: cipherParam,
+            tag: cipherParam,
+            timestamp: string({ max: 64, optional: true })
+        }),
+        maxBytes: 20 * 1024
+    },
+    'secure-offer': {
+        payload: object({ targetId: participantId, encryptedOffer: encryptedBlob, iv: cipherParam, tag: cipherParam }),
+        maxBytes: 68 * 1024
+    },
+    'secure-answer': {
+        payload: object({ targetId: participantId, encryptedAnswer: encryptedBlob, iv: cipherParam, tag: cipherParam }),
+        maxBytes: 68 * 1024
+    },
+    'secure-ice-candidate': {
+        payload: object({
+            targetId: participantId,
+            encryptedCandidate: string({ max: 8 * 1024 }),
+            iv: cipherParam,
+            tag: cipherParam
+        }),
+        maxBytes: 12 * 1024
+    },
+    'media-state-change': {
+        payload: object({
+            audio: boolean({ optional: true }),
+            video: boolean({ optional: true })
+        })
+    },
+    'remote-control-video': { payload: object({ targetUserId: participantId, enable: boolean() }) },
+    'remote-control-audio': { payload: object({ targetUserId: participantId, enable: boolean() }) },
+    'screen-share-start': { payload: object({}, { optional: true }) },
+    'screen-share-stop': { payload: object({}, { optional: true }) }
+};
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema built with string/boolean/integer/object
+ * @param {*} value - Value to check
+ * @param {string} path - Location of the value, used in error messages
+ * @returns {{value: *}|{error: string}} Cleaned value or what is wrong with it
+ */
+function validate(schema, value, path) {
+    if (value === undefined) {
+        return schema.optional ? { value } : { error: `${path} is required` };
+    }
+    if (value === null) {
+        return schema.nullable ? { value } : { error: `${path} must not be null` };
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return { error: `${path} must be a string` };
+            if (schema.min !== undefined && value.length < schema.min) return { error: `${path} is too short` };
+            if (schema.max !== undefined && value.length > schema.max) return { error: `${path} is too long` };
+            if (schema.enum && !schema.enum.includes(value)) {
+                return { error: `${path} must be one of ${schema.enum.join(', ')}` };
+            }
+            return { value };
+
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: `${path} must be a boolean` };
+
+        case 'integer':
+            if (!Number.isInteger(value)) return { error: `${path} must be an integer` };
+            if (schema.min !== undefined && value < schema.min) return { error: `${path} must be at least ${schema.min}` };
+            if (schema.max !== undefined && value > schema.max) return { error: `${path} must be at most ${schema.max}` };
+            return { value };
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return { error: `${path} must be an object` };
+
+            // Only known properties make it through
+            const cleaned = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const result = validate(propertySchema, value[key], `${path}.${key}`);
+                if (result.error) return result;
+                if (result.value !== undefined) {
+                    cleaned[key] = result.value;
+                }
+            }
+            return { value: cleaned };
+        }
+
+        default:
+            return { error: `${path} has an unsupported schema` };
+    }
+}
+
+/**
+ * Validate an incoming event payload: known event, within its size cap and
+ * matching its schema
+ * @param {string} event - Event name
+ * @param {*} payload - First argument the client sent with the event
+ * @returns {{value: *}|{error: {code: string, message: string}}} Cleaned payload or error
+ */
+function validatePayload(event, payload) {
+    // Own properties only: a client may name its event toString or constructor
+    const definition = Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+    if (!definition) {
+        return { error: { code: ERROR_CODES.UNKNOWN_EVENT, message: `Unknown event ${event}` } };
+    }
+
+    const maxBytes = definition.maxBytes || DEFAULT_MAX_BYTES;
+    const size = payload === undefined ? 0 : Buffer.byteLength(JSON.stringify(payload));
+    if (size > maxBytes) {
+        return { error: { code: ERROR_CODES.PAYLOAD_TOO_LARGE, message: `Payload exceeds ${maxBytes} bytes` } };
+    }
+
+    const result = validate(definition.payload, payload, 'payload');
+    return result.error
+        ? { error: { code: ERROR_CODES.INVALID_PAYLOAD, message: result.error } }
+        : result;
+}
+
+module.exports = {
+    ERROR_CODES,
+    EVENT_SCHEMAS,
+    validatePayload
+};
@@ -0,0 +1,125 @@
+// ICE server configuration handed to browsers at GET /api/ice-servers.
+// TURN credentials follow the TURN REST API scheme coturn implements with
+// `use-auth-secret`: the username is `<expiry unix time>:<user id>` and the
+// password is base64(HMAC-SHA1(static-auth-secret, username)), so the TURN
+// server can check them without sharing a user database with us.
+
+const crypto = require('crypto');
+
+// Used when STUN_SERVER is not configured at all
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+const TRANSPORT_POLICIES = ['all', 'relay'];
+
+/**
+ * Split a comma-separated list of ICE URLs
+ * @param {string} value - e.g. "turn:turn.example.com:3478?transport=udp, turns:turn.example.com:5349"
+ * @returns {string[]} URLs
+ */
+function parseUrlList(value) {
+    return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * TURN password for a REST API username
+ * @param {string} secret - TURN server's static-auth-secret
+ * @param {string} username - `<expiry unix time>:<user id>`
+ * @returns {string} base64 HMAC-SHA1 of the username
+ */
+function turnPassword(secret, username) {
+    // The scheme fixes the digest: HMAC-SHA1, base64
+    return crypto.createHmac('sha1', secret).update(username).digest('base64');
+}
+
+/**
+ * Mint time-limited TURN REST credentials
+ * @param {string} secret - TURN server's static-auth-secret
+ * @param {string} userId - Opaque ID that shows up in the TURN server's logs
+ * @param {number} ttlSeconds - How long the credentials stay valid
+ * @param {number} now - Current time in ms
+ * @returns {Object} { username, credential, expiresAt } with expiresAt in unix seconds
+ */
+function createTurnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${userId}`;
+    return { username, credential: turnPassword(secret, username), expiresAt };
+}
+
+/**
+ * STUN/TURN servers and how clients may authenticate to them
+ */
+class IceServerConfig {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.stunUrls - STUN server URLs
+     * @param {string[]} options.turnUrls - TURN server URLs
+     * @param {string} options.turnSecret - Shared secret for ephemeral credentials
+     * @param {string} options.turnUsername - Fixed TURN username, used without a secret
+     * @param {string} options.turnPassword - Fixed TURN password, used without a secret
+     * @param {number} options.ttlSeconds - Lifetime of ephemeral credentials
+     * @param {string} options.transportPolicy - 'all', or 'relay' to force traffic through TURN
+     */
+    constructor({ stunUrls = DEFAULT_STUN_URLS, turnUrls = [], turnSecret, turnUsername, turnPassword, ttlSeconds, transportPolicy = 'all' }) {
+        if (!TRANSPORT_POLICIES.includes(transportPolicy)) {
+            throw new Error(`ICE transport policy must be one of: ${TRANSPORT_POLICIES.join(', ')}`);
+        }
+        if (turnUrls.length > 0 && !turnSecret && !(turnUsername && turnPassword)) {
+            throw new Error('TURN servers need either a shared secret or a username and password');
+        }
+
+        this.stunUrls = stunUrls;
+        this.turnUrls = turnUrls;
+        this.turnSecret = turnSecret;
+        this.turnUsername = turnUsername;
+        this.turnPassword = turnPassword;
+        this.ttlSeconds = ttlSeconds;
+        this.transportPolicy = transportPolicy;
+    }
+
+    /**
+     * RTCConfiguration fields for one client, with fresh TURN credentials
+     * when a shared secret is configured
+     * @param {string} userId - Opaque ID embedded in the TURN username
+     * @returns {Object} { iceServers, iceTransportPolicy, ttl, expiresAt }; ttl and
+     * expiresAt are null when the credentials don't expire
+     */
+    forClient(userId) {
+        const iceServers = [];
+        if (this.stunUrls.length > 0) {
+            iceServers.push({ urls: this.stunUrls });
+        }
+
+        let ttl = null;
+        let expiresAt = null;
+        if (this.turnUrls.length > 0) {
+            if (this.turnSecret) {
+                const credentials = createTurnCredentials(this.turnSecret, userId, this.ttlSeconds);
+                iceServers.push({ urls: this.turnUrls, username: credentials.username, credential: credentials.credential });
+                ttl = this.ttlSeconds;
+                expiresAt = new Date(credentials.expiresAt * 1000);
+            } else {
+                iceServers.push({ urls: this.turnUrls, username: this.turnUsername, credential: this.turnPassword });
+            }
+        }
+
+        return { iceServers, iceTransportPolicy: this.transportPolicy, ttl, expiresAt };
+    }
+
+    /**
+     * RTCConfiguration fields without any TURN server, for clients that
+     * aren't entitled to TURN credentials
+     * @returns {Object} { iceServers, iceTransportPolicy, ttl, expiresAt }
+     */
+    withoutTurn() {
+        const iceServers = this.stunUrls.length > 0 ? [{ urls: this.stunUrls }] : [];
+        return { iceServers, iceTransportPolicy: this.transportPolicy, ttl: null, expiresAt: null };
+    }
+}
+
+module.exports = {
+    DEFAULT_STUN_URLS,
+    parseUrlList,
+    turnPassword,
+    createTurnCredentials,
+    IceServerConfig
+};
@@ -0,0 +1,181 @@
+// Signed, expiring invite links minted by a room's host.
+// A token is `<payload>.<signature>`: the base64url JSON payload names the
+// room, the invite and its expiry, and the signature is an HMAC-SHA256 of the
+// payload keyed with the server's invite secret, so tokens can't be forged or
+// pointed at another room. Use counts and revocation live in the room store,
+// where every cluster worker sees them.
+
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger');
+
+const log = createLogger('invites');
+
+// Join error codes for invites that can't be used (sent like the other JOIN_ERRORS)
+const INVITE_ERRORS = {
+    INVALID: 'INVITE_INVALID',
+    EXPIRED: 'INVITE_EXPIRED',
+    REVOKED: 'INVITE_REVOKED',
+    USED_UP: 'INVITE_USED_UP'
+};
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+const MAX_TTL_MINUTES = 30 * 24 * 60;
+
+// Usable invites a room may have at once
+const MAX_ACTIVE_INVITES = 100;
+
+/**
+ * Where an invite stands at a point in time
+ * @param {Object} invite - Invite record
+ * @param {Date} now - Reference time
+ * @returns {string} 'active', 'revoked', 'expired' or 'used-up'
+ */
+function inviteStatus(invite, now = new Date()) {
+    if (invite.revokedAt) return 'revoked';
+    if (new Date(invite.expiresAt) <= now) return 'expired';
+    if (invite.maxUses !== null && invite.uses >= invite.maxUses) return 'used-up';
+    return 'active';
+}
+
+/**
+ * Mints, verifies and redeems invite tokens
+ */
+class InviteManager {
+    /**
+     * @param {Object} store - Room store holding invite records
+     * @param {Object} cryptoUtils - CryptoUtils instance used for signing and hashing
+     * @param {string} secret - HMAC key; every process that verifies tokens needs the same one
+     */
+    constructor(store, cryptoUtils, secret) {
+        this.store = store;
+        this.cryptoUtils = cryptoUtils;
+        this.secret = secret;
+    }
+
+    /**
+     * Create an invite and its token
+     * @param {string} roomId - Room the invite admits to
+     * @param {Object} options - { expiresAt, maxUses (null for unlimited), role, name }
+     * @returns {Promise<Object>} { invite, token }
+     */
+    async create(roomId, { expiresAt, maxUses = null, role, name = null }) {
+        const invite = {
+            id: uuidv4(),
+            roomId,
+            role,
+            name,
+            maxUses,
+            uses: 0,
+            sessions: [], // Hashed session IDs that redeemed the invite
+            createdAt: new Date(),
+            expiresAt,
+            revokedAt: null
+        };
+        await this.store.putInvite(invite);
+        return { invite, token: this.sign({ roomId, inviteId: invite.id, exp: expiresAt.getTime() }) };
+    }
+
+    /**
+     * List a room's invites, oldest first
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object[]>} Invite records
+     */
+    async list(roomId) {
+        return this.store.listInvites(roomId);
+    }
+
+    /**
+     * Revoke an invite; tokens already handed out stop working
+     * @param {string} roomId - Room ID
+     * @param {string} inviteId - Invite ID
+     * @returns {Promise<Object|null>} Revoked invite or null if missing
+     */
+    async revoke(roomId, inviteId) {
+        return this.store.revokeInvite(roomId, inviteId, new Date());
+    }
+
+    /**
+     * Sign an invite payload
+     * @param {Object} payload - { roomId, inviteId, exp }
+     * @returns {string} Token
+     */
+    sign(payload) {
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encoded}.${this.cryptoUtils.createHMAC(encoded, this.secret)}`;
+    }
+
+    /**
+     * Check a token's signature and decode its payload
+     * @param {string} token - Token from an invite link
+     * @returns {Object|null} Payload, or null if the token was not signed by us
+     */
+    verify(token) {
+        const [encoded, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+        if (!encoded || !signature || extra !== undefined || !/^[0-9a-f]{64}$/.test(signature)) {
+            return null;
+        }
+        if (!this.cryptoUtils.verifyHMAC(encoded, this.secret, signature)) {
+            return null;
+        }
+        try {
+            return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a token against a room without using it up
+     * @param {string} token - Token from an invite link
+     * @param {string} roomId - Room being joined
+     * @returns {Object} { payload } or { error } with one of INVITE_ERRORS
+     */
+    check(token, roomId) {
+        const payload = this.verify(token);
+        if (!payload || payload.roomId !== roomId) {
+            return { error: INVITE_ERRORS.INVALID };
+        }
+        if (payload.exp <= Date.now()) {
+            return { error: INVITE_ERRORS.EXPIRED };
+        }
+        return { payload };
+    }
+
+    /**
+     * Use an invite for a join. A session that redeemed it before gets back in
+     * without using it up again.
+     * @param {Object} payload - Payload returned by check
+     * @param {string} sessionId - Browser session of the person joining
+     * @returns {Promise<Object>} { invite } or { error } with one of INVITE_ERRORS
+     */
+    async redeem(payload, sessionId) {
+        const { redeemed, invite } = await this.store.redeemInvite(
+            payload.roomId,
+            payload.inviteId,
+            this.cryptoUtils.hash(sessionId),
+            new Date()
+        );
+        if (redeemed) {
+            return { invite };
+        }
+
+        const status = invite ? inviteStatus(invite) : 'missing';
+        log.info('Invite refused', { roomId: payload.roomId, inviteId: payload.inviteId, status });
+        return {
+            error: {
+                revoked: INVITE_ERRORS.REVOKED,
+                expired: INVITE_ERRORS.EXPIRED,
+                'used-up': INVITE_ERRORS.USED_UP
+            }[status] || INVITE_ERRORS.INVALID
+        };
+    }
+}
+
+module.exports = {
+    INVITE_ERRORS,
+    DEFAULT_TTL_MINUTES,
+    MAX_TTL_MINUTES,
+    MAX_ACTIVE_INVITES,
+    inviteStatus,
+    InviteManager
+};
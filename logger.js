@@ -0,0 +1,163 @@
+// Structured, leveled logging shared by every module.
+// Each entry is one JSON line (or a readable line with LOG_FORMAT=pretty)
+// carrying level, time, the module and any context fields such as roomId,
+// socketId and event. Key material is redacted before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values never reach the logs, wherever they are nested
+const REDACTED_KEYS = new Set([
+    'privatekey', 'encryptionkey', 'roomkeys', 'keypair', 'yourkeypair', 'sharedsecret',
+    'salt', 'passwordsalt', 'password', 'passwordhash', 'secret',
+    'hosttoken', 'hosttokenhash', 'resumetoken', 'resumetokenhash', 'token', 'authorization'
+]);
+
+// PEM-encoded private keys embedded in strings
+const PRIVATE_KEY_PATTERN = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g;
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+/**
+ * Copy a value with key material replaced by a placeholder
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Objects already visited, guards against cycles
+ * @returns {*} Loggable copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return value.replace(PRIVATE_KEY_PATTERN, REDACTED);
+    }
+    if (Buffer.isBuffer(value)) {
+        return REDACTED; // Raw bytes in this codebase are keys, IVs or digests
+    }
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth, seen);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1, seen);
+    }
+    return copy;
+}
+
+/**
+ * Leveled logger bound to a set of context fields
+ */
+class Logger {
+    /**
+     * @param {Object} fields - Context added to every entry (module, roomId, socketId, ...)
+     * @param {Object} options - { level, format, write }
+     */
+    constructor(fields = {}, options = {}) {
+        this.fields = fields;
+        this.level = options.level || process.env.LOG_LEVEL || 'info';
+        this.format = options.format || process.env.LOG_FORMAT || 'json';
+        this.write = options.write || defaultWrite;
+        if (!(this.level in LEVELS)) {
+            this.level = 'info';
+        }
+    }
+
+    /**
+     * Logger with extra context fields, e.g. the room and socket a handler runs for
+     * @param {Object} fields - Fields to add
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, { level: this.level, format: this.format, write: this.write });
+    }
+
+    /**
+     * Whether entries of a level are written
+     * @param {string} level - Level name
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Write one entry
+     * @param {string} level - Level name
+     * @param {string} message - What happened
+     * @param {Object|Error} fields - Extra fields; an Error is logged as `error`
+     */
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            pid: process.pid,
+            ...this.fields,
+            ...extra
+        });
+        this.write(level, this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+    }
+}
+
+// Warnings and errors go to stderr, everything else to stdout
+function defaultWrite(level, line) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Human-readable form for local development
+function formatPretty({ time, level, msg, pid, module: moduleName, error, ...fields }) {
+    const context = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    const stack = error ? `\n${error.stack || error.message}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} [${moduleName || pid}] ${msg}${context ? ` ${context}` : ''}${stack}`;
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} moduleName - Name shown in every entry
+ * @param {Object} options - See Logger
+ * @returns {Logger}
+ */
+function createLogger(moduleName, options = {}) {
+    return new Logger({ module: moduleName }, options);
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    createLogger,
+    redact
+};
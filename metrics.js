@@ -0,0 +1,277 @@
+// Minimal metrics registry rendering the Prometheus text exposition format
+// (version 0.0.4). Counters and histograms are updated where things happen;
+// gauges are read through a collect callback at scrape time.
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets in seconds, from a fast handler to a very slow one
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}`, or nothing when empty
+ * @param {Object} labels - Label names and values
+ * @returns {string} Rendered labels
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value; the format spells infinities and NaN its own way
+ * @param {number} value - Sample value
+ * @returns {string} Rendered value
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Monotonic counter, optionally split by labels
+ */
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.values = new Map(); // Rendered label set -> { labels, value }
+        if (labelNames.length === 0) {
+            this.values.set('', { labels: {}, value: 0 });
+        }
+    }
+
+    /**
+     * Add to the counter
+     * @param {Object} labels - Values for the counter's label names
+     * @param {number} amount - Non-negative amount to add
+     */
+    inc(labels = {}, amount = 1) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : labels[name];
+        });
+        const key = formatLabels(picked);
+        const entry = this.values.get(key) || { labels: picked, value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * Sum over all label sets
+     * @returns {number} Total count
+     */
+    total() {
+        let sum = 0;
+        this.values.forEach(entry => {
+            sum += entry.value;
+        });
+        return sum;
+    }
+
+    async collect() {
+        return Array.from(this.values.values());
+    }
+}
+
+/**
+ * Distribution of observed values over fixed buckets, optionally split by labels
+ */
+class Histogram {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names samples are split by
+     * @param {number[]} buckets - Upper bounds in ascending order; +Inf is added
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.values = new Map(); // Rendered label set -> { labels, counts, sum, count }
+    }
+
+    /**
+     * Record one value
+     * @param {Object} labels - Values for the histogram's label names
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : labels[name];
+        });
+        const key = formatLabels(picked);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start timing something; the returned function records the seconds elapsed
+     * @param {Object} labels - Values for the histogram's label names
+     * @returns {Function} Stops the timer
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    // Cumulative _bucket samples per label set, then _sum and _count
+    async collect() {
+        const samples = [];
+        this.values.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, index) => {
+                samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+            });
+            samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+            samples.push({ suffix: '_sum', labels, value: sum });
+            samples.push({ suffix: '_count', labels, value: count });
+        });
+        return samples;
+    }
+}
+
+/**
+ * Gauge whose samples are read at scrape time
+ */
+class Gauge {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Function} collect - Returns (or resolves to) a number, or a list of { labels, value }
+     */
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collectValue = collect;
+    }
+
+    async collect() {
+        const value = await this.collectValue();
+        return Array.isArray(value) ? value : [{ labels: {}, value }];
+    }
+}
+
+/**
+ * Named set of metrics rendered together
+ */
+class MetricsRegistry {
+    /**
+     * @param {string} prefix - Prepended to every metric name
+     */
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    /**
+     * Register a counter
+     * @param {string} name - Name without prefix, ending in _total by convention
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names samples are split by
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames = []) {
+        const counter = new Counter(this.prefix + name, help, labelNames);
+        this.metrics.push(counter);
+        return counter;
+    }
+
+    /**
+     * Register a histogram
+     * @param {string} name - Name without prefix, ending in the unit by convention
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names samples are split by
+     * @param {number[]} buckets - Bucket upper bounds in ascending order
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const histogram = new Histogram(this.prefix + name, help, labelNames, buckets);
+        this.metrics.push(histogram);
+        return histogram;
+    }
+
+    /**
+     * Register a gauge
+     * @param {string} name - Name without prefix
+     * @param {string} help - Help text
+     * @param {Function} collect - See Gauge
+     * @returns {Gauge}
+     */
+    gauge(name, help, collect) {
+        const gauge = new Gauge(this.prefix + name, help, collect);
+        this.metrics.push(gauge);
+        return gauge;
+    }
+
+    /**
+     * Register event-loop lag gauges (mean, p99 and max since the previous scrape)
+     * @param {string} name - Name without prefix
+     */
+    eventLoopLag(name) {
+        const resolutionMs = 20;
+        const histogram = monitorEventLoopDelay({ resolution: resolutionMs });
+        histogram.enable();
+
+        // Samples are timer intervals in nanoseconds; the lag is whatever exceeds the resolution
+        const lag = (nanoseconds) => (histogram.count ? Math.max(0, nanoseconds / 1e6 - resolutionMs) / 1000 : 0);
+
+        this.gauge(name, 'Event loop delay since the previous scrape in seconds', () => {
+            const samples = [
+                { labels: { stat: 'mean' }, value: lag(histogram.mean) },
+                { labels: { stat: 'p99' }, value: lag(histogram.percentile(99)) },
+                { labels: { stat: 'max' }, value: lag(histogram.max) }
+            ];
+            histogram.reset();
+            return samples;
+        });
+    }
+
+    /**
+     * Render every metric in the text exposition format
+     * @returns {Promise<string>} Exposition text
+     */
+    async render() {
+        const blocks = await Promise.all(this.metrics.map(async metric => {
+            const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+            (await metric.collect()).forEach(({ suffix = '', labels, value }) => {
+                lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+            });
+            return lines.join('\n');
+        }));
+        return blocks.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    MetricsRegistry
+};
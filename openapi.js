@@ -0,0 +1,352 @@
+// OpenAPI 3.0 description of the public REST API (/api/v1), served at
+// /api/v1/openapi.json. Limits that come from configuration are filled in
+// when the document is built.
+
+const { ROLES, ASSIGNABLE_ROLES } = require('./permissions');
+
+/**
+ * Error response referencing the shared error envelope
+ * @param {string} description - When the error is returned
+ * @returns {Object} OpenAPI response object
+ */
+function errorResponse(description) {
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+const roomIdParameter = {
+    name: 'roomId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} limits - Server configuration reflected in the schemas
+ * @param {string} limits.version - API implementation version
+ * @param {number} limits.maxParticipants - Server-wide participant cap per room
+ * @param {number} limits.maxDurationMinutes - Longest meeting allowed
+ * @param {number} limits.inviteTtlMinutes - Default invite lifetime
+ * @param {number} limits.inviteMaxTtlMinutes - Longest invite lifetime allowed
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument({ version, maxParticipants, maxDurationMinutes, inviteTtlMinutes, inviteMaxTtlMinutes }) {
+    const roomSettings = {
+        title: { type: 'string', maxLength: 200, nullable: true },
+        lobby: { type: 'boolean', description: 'Guests wait in a lobby until a moderator admits them' },
+        password: { type: 'string', maxLength: 128, description: 'Required to join; stored as a salted hash' },
+        maxParticipants: { type: 'integer', minimum: 2, maximum: maxParticipants }
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'QUIC RTC Meet API',
+            version,
+            description: 'Create and manage meeting rooms. Operations on an existing room other than reading ' +
+                'its metadata need the host token returned when the room was created, sent as a bearer token. ' +
+                'Handing host rights to someone else in the meeting rotates the token.'
+        },
+        servers: [{ url: '/api/v1' }],
+        paths: {
+            '/rooms': {
+                post: {
+                    operationId: 'createRoom',
+                    summary: 'Create a room',
+                    requestBody: {
+                        required: false,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/RoomCreate' } } }
+                    },
+                    responses: {
+                        201: {
+                            description: 'Room created',
+                            headers: { Location: { schema: { type: 'string' } } },
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/CreatedRoom' } } }
+                        },
+                        400: errorResponse('Invalid room options')
+                    }
+                }
+            },
+            '/rooms/{roomId}': {
+                parameters: [roomIdParameter],
+                get: {
+                    operationId: 'getRoom',
+                    summary: 'Room metadata',
+                    responses: {
+                        200: {
+                            description: 'Room metadata',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Room' } } }
+                        },
+                        404: errorResponse('Room not found')
+                    }
+                },
+                patch: {
+                    operationId: 'updateRoom',
+                    summary: 'Change room settings',
+                    security: [{ hostToken: [] }],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/RoomUpdate' } } }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Updated room metadata',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Room' } } }
+                        },
+                        400: errorResponse('Invalid changes'),
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room not found')
+                    }
+                },
+                delete: {
+                    operationId: 'deleteRoom',
+                    summary: 'Close the room; everyone in it is told the meeting ended',
+                    security: [{ hostToken: [] }],
+                    responses: {
+                        204: { description: 'Room closed' },
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room not found')
+                    }
+                }
+            },
+            '/rooms/{roomId}/participants': {
+                parameters: [roomIdParameter],
+                get: {
+                    operationId: 'listParticipants',
+                    summary: 'Participants and lobby guests',
+                    security: [{ hostToken: [] }],
+                    responses: {
+                        200: {
+                            description: 'Participants in join order',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            participants: { type: 'array', items: { $ref: '#/components/schemas/Participant' } }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room not found')
+                    }
+                }
+            },
+            '/rooms/{roomId}/invites': {
+                parameters: [roomIdParameter],
+                post: {
+                    operationId: 'createInvite',
+                    summary: 'Create a signed invite link',
+                    security: [{ hostToken: [] }],
+                    requestBody: {
+                        required: false,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/InviteCreate' } } }
+                    },
+                    responses: {
+                        201: {
+                            description: 'Invite created',
+                            headers: { Location: { schema: { type: 'string' } } },
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/CreatedInvite' } } }
+                        },
+                        400: errorResponse('Invalid invite options'),
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room not found')
+                    }
+                },
+                get: {
+                    operationId: 'listInvites',
+                    summary: 'Invites of the room, revoked and expired ones included',
+                    security: [{ hostToken: [] }],
+                    responses: {
+                        200: {
+                            description: 'Invites, oldest first',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            invites: { type: 'array', items: { $ref: '#/components/schemas/Invite' } }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room not found')
+                    }
+                }
+            },
+            '/rooms/{roomId}/invites/{inviteId}': {
+                parameters: [roomIdParameter, { name: 'inviteId', in: 'path', required: true, schema: { type: 'string' } }],
+                delete: {
+                    operationId: 'revokeInvite',
+                    summary: 'Revoke an invite; links already handed out stop working',
+                    security: [{ hostToken: [] }],
+                    responses: {
+                        204: { description: 'Invite revoked' },
+                        401: errorResponse('Missing or invalid host token'),
+                        404: errorResponse('Room or invite not found')
+                    }
+                }
+            },
+            '/rooms/{roomId}/invite.ics': {
+                parameters: [roomIdParameter],
+                get: {
+                    operationId: 'getRoomInvite',
+                    summary: 'iCalendar invite with the room link',
+                    responses: {
+                        200: { description: 'Calendar invite', content: { 'text/calendar': { schema: { type: 'string' } } } },
+                        404: errorResponse('Room not found')
+                    }
+                }
+            },
+            '/openapi.json': {
+                get: {
+                    operationId: 'getOpenApiDocument',
+                    summary: 'This document',
+                    responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                hostToken: { type: 'http', scheme: 'bearer', description: 'Host token of the room' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: { type: 'string', enum: ['INVALID_REQUEST', 'UNAUTHORIZED', 'NOT_FOUND', 'INTERNAL'] },
+                                message: { type: 'string' }
+                            }
+                        }
+                    }
+                },
+                RoomCreate: {
+                    type: 'object',
+                    properties: {
+                        ...roomSettings,
+                        hostName: { type: 'string', maxLength: 64, description: 'Name of the person creating the room' },
+                        startsAt: { type: 'string', format: 'date-time', description: 'Defaults to now when endsAt is set' },
+                        endsAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: `At most ${maxDurationMinutes} minutes after startsAt`
+                        },
+                        earlyJoinMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
+                        mediaMode: {
+                            type: 'string',
+                            enum: ['auto', 'mesh', 'sfu'],
+                            description: 'mesh: participants connect to each other; sfu: everyone sends their media ' +
+                                'to the server once, which forwards it; auto: mesh, moving to sfu while the room is ' +
+                                'large. Defaults to the server\'s ROOM_MEDIA_MODE'
+                        }
+                    }
+                },
+                RoomUpdate: {
+                    type: 'object',
+                    minProperties: 1,
+                    properties: {
+                        ...roomSettings,
+                        password: { ...roomSettings.password, nullable: true, description: 'null removes the password' },
+                        locked: { type: 'boolean', description: 'Stop anyone new from joining' }
+                    }
+                },
+                Room: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        title: { type: 'string', nullable: true },
+                        hostName: { type: 'string', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        startsAt: { type: 'string', format: 'date-time', nullable: true },
+                        endsAt: { type: 'string', format: 'date-time' },
+                        participantCount: { type: 'integer' },
+                        maxParticipants: { type: 'integer' },
+                        passwordProtected: { type: 'boolean' },
+                        lobbyEnabled: { type: 'boolean' },
+                        locked: { type: 'boolean' },
+                        mediaMode: { type: 'string', enum: ['auto', 'mesh', 'sfu'] },
+                        topology: { type: 'string', enum: ['mesh', 'sfu'], description: 'How media flows right now' },
+                        inviteUrl: { type: 'string' }
+                    }
+                },
+                CreatedRoom: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Room' },
+                        {
+                            type: 'object',
+                            properties: {
+                                hostToken: { type: 'string', description: 'Only returned here; keep it to manage the room' }
+                            }
+                        }
+                    ]
+                },
+                InviteCreate: {
+                    type: 'object',
+                    properties: {
+                        expiresInMinutes: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: inviteMaxTtlMinutes,
+                            default: inviteTtlMinutes,
+                            description: 'Never later than the end of the meeting'
+                        },
+                        maxUses: { type: 'integer', minimum: 1, maximum: 1000, nullable: true, description: 'null for unlimited' },
+                        role: { type: 'string', enum: ASSIGNABLE_ROLES, default: ROLES.ATTENDEE },
+                        name: { type: 'string', maxLength: 64, nullable: true, description: 'Display name the guest joins with' }
+                    }
+                },
+                Invite: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        role: { type: 'string', enum: ASSIGNABLE_ROLES },
+                        name: { type: 'string', nullable: true },
+                        maxUses: { type: 'integer', nullable: true },
+                        uses: { type: 'integer' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        expiresAt: { type: 'string', format: 'date-time' },
+                        revokedAt: { type: 'string', format: 'date-time', nullable: true },
+                        status: { type: 'string', enum: ['active', 'expired', 'revoked', 'used-up'] }
+                    }
+                },
+                CreatedInvite: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Invite' },
+                        {
+                            type: 'object',
+                            properties: {
+                                token: { type: 'string', description: 'Signed token, sent as `invite` with join-room' },
+                                url: { type: 'string', description: 'Room link carrying the token' }
+                            }
+                        }
+                    ]
+                },
+                Participant: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string', nullable: true },
+                        role: { type: 'string', enum: Object.values(ROLES), nullable: true },
+                        status: { type: 'string', enum: ['active', 'reconnecting', 'waiting'] },
+                        joinedAt: { type: 'string', format: 'date-time', nullable: true },
+                        requestedAt: { type: 'string', format: 'date-time', description: 'Lobby guests only' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,122 @@
+// Room roles and the permissions each one grants.
+// Every socket event that needs authorization is mapped to a permission here
+// and checked centrally (see socket.use in server.js) before its handler runs.
+
+const ROLES = {
+    HOST: 'host',
+    CO_HOST: 'co-host',
+    PRESENTER: 'presenter',
+    ATTENDEE: 'attendee',
+    VIEWER: 'viewer'
+};
+
+const PERMISSIONS = {
+    REMOTE_CONTROL: 'remote-control', // Turn other participants' mic/camera on or off
+    MANAGE_LOBBY: 'manage-lobby',     // Admit or deny lobby guests
+    SET_ROLE: 'set-role',             // Change other participants' roles
+    TRANSFER_HOST: 'transfer-host',   // Hand host rights to someone else
+    REMOVE_PARTICIPANT: 'remove-participant', // Kick or ban participants
+    LOCK_ROOM: 'lock-room',           // Stop anyone new from joining
+    SCREEN_SHARE: 'screen-share',
+    CHAT: 'chat',
+    UNMUTE: 'unmute',                 // Turn own microphone on
+    VIDEO: 'video'                    // Turn own camera on
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.HOST]: Object.values(PERMISSIONS),
+    [ROLES.CO_HOST]: [
+        PERMISSIONS.REMOTE_CONTROL,
+        PERMISSIONS.MANAGE_LOBBY,
+        PERMISSIONS.SET_ROLE,
+        PERMISSIONS.REMOVE_PARTICIPANT,
+        PERMISSIONS.LOCK_ROOM,
+        PERMISSIONS.SCREEN_SHARE,
+        PERMISSIONS.CHAT,
+        PERMISSIONS.UNMUTE,
+        PERMISSIONS.VIDEO
+    ],
+    [ROLES.PRESENTER]: [
+        PERMISSIONS.SCREEN_SHARE,
+        PERMISSIONS.CHAT,
+        PERMISSIONS.UNMUTE,
+        PERMISSIONS.VIDEO
+    ],
+    [ROLES.ATTENDEE]: [
+        PERMISSIONS.CHAT,
+        PERMISSIONS.UNMUTE,
+        PERMISSIONS.VIDEO
+    ],
+    [ROLES.VIEWER]: [
+        PERMISSIONS.CHAT
+    ]
+};
+
+// Permission required by each socket event. A function receives the payload
+// for events whose requirement depends on what is being asked for.
+const EVENT_PERMISSIONS = {
+    'remote-control-video': PERMISSIONS.REMOTE_CONTROL,
+    'remote-control-audio': PERMISSIONS.REMOTE_CONTROL,
+    'lobby-admit': PERMISSIONS.MANAGE_LOBBY,
+    'lobby-deny': PERMISSIONS.MANAGE_LOBBY,
+    'set-role': PERMISSIONS.SET_ROLE,
+    'transfer-host': PERMISSIONS.TRANSFER_HOST,
+    'kick-participant': PERMISSIONS.REMOVE_PARTICIPANT,
+    'ban-participant': PERMISSIONS.REMOVE_PARTICIPANT,
+    'lock-room': PERMISSIONS.LOCK_ROOM,
+    'screen-share-start': PERMISSIONS.SCREEN_SHARE,
+    'screen-share-stop': PERMISSIONS.SCREEN_SHARE,
+    'encrypted-chat-message': PERMISSIONS.CHAT,
+    'media-state-change': (payload) => {
+        if (payload && payload.audio === true) return PERMISSIONS.UNMUTE;
+        if (payload && payload.video === true) return PERMISSIONS.VIDEO;
+        return null; // Muting yourself is always allowed
+    }
+};
+
+// Roles the host may hand out through set-role (host rights move via transfer-host)
+const ASSIGNABLE_ROLES = [ROLES.CO_HOST, ROLES.PRESENTER, ROLES.ATTENDEE, ROLES.VIEWER];
+
+function getPermissions(role) {
+    return Object.hasOwn(ROLE_PERMISSIONS, role) ? ROLE_PERMISSIONS[role] : [];
+}
+
+function hasPermission(role, permission) {
+    return getPermissions(role).includes(permission);
+}
+
+// Permission needed for an incoming event, or null if any room member may send it
+function requiredPermission(event, payload) {
+    const permission = Object.hasOwn(EVENT_PERMISSIONS, event) ? EVENT_PERMISSIONS[event] : null;
+    return typeof permission === 'function' ? permission(payload) : permission || null;
+}
+
+// Moderation reaches down only: nobody acts on the host, and only the host acts on co-hosts
+function canModerate(actorRole, targetRole) {
+    if (targetRole === ROLES.HOST) {
+        return false;
+    }
+    if (actorRole === ROLES.HOST) {
+        return true;
+    }
+    return actorRole === ROLES.CO_HOST && targetRole !== ROLES.CO_HOST;
+}
+
+// Same reach for role changes, and co-hosts can't create more co-hosts
+function canAssignRole(actorRole, currentRole, newRole) {
+    if (!ASSIGNABLE_ROLES.includes(newRole) || !canModerate(actorRole, currentRole)) {
+        return false;
+    }
+    return actorRole === ROLES.HOST || newRole !== ROLES.CO_HOST;
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ASSIGNABLE_ROLES,
+    getPermissions,
+    hasPermission,
+    requiredPermission,
+    canModerate,
+    canAssignRole
+};
@@ -5,6 +5,8 @@ createApp({
         return {
             username: '',
             roomId: '',
+            password: '',
+            lobby: false,
             isLoading: false,
             message: {
                 text: '',
@@ -37,28 +39,30 @@ createApp({
             this.saveUsername();
 
             try {
-                const response = await fetch('/api/create-room', {
+                const response = await fetch('/api/v1/rooms', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({ username: this.username.trim() })
+                    body: JSON.stringify({
+                        hostName: this.username.trim(),
+                        password: this.password || undefined,
+                        lobby: this.lobby
+                    })
                 });
 
+                const data = await response.json();
                 if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    throw new Error(data.error ? data.error.message : `HTTP error! status: ${response.status}`);
                 }
 
-                const data = await response.json();
-                
-                if (data.success) {
-                    this.showMessage('Room created successfully! Redirecting...', 'success');
-                    setTimeout(() => {
-                        window.location.href = `room.html?room=${data.roomId}&username=${encodeURIComponent(this.username.trim())}&creator=true`;
-                    }, 1000);
-                } else {
-                    throw new Error(data.message || 'Failed to create room');
-                }
+                this.saveRoomPassword(data.id);
+                // Lets the room page claim (and later reclaim) host rights
+                localStorage.setItem(`host-token:${data.id}`, data.hostToken);
+                this.showMessage('Room created successfully! Redirecting...', 'success');
+                setTimeout(() => {
+                    window.location.href = `room.html?room=${data.id}&username=${encodeURIComponent(this.username.trim())}&creator=true`;
+                }, 1000);
             } catch (error) {
                 console.error('Error creating room:', error);
                 this.showMessage('Failed to create room. Please try again.', 'error');
@@ -79,6 +83,7 @@ createApp({
             }
 
             this.saveUsername();
+            this.saveRoomPassword(this.roomId.trim());
             this.showMessage('Joining room...', 'success');
             
             setTimeout(() => {
@@ -106,6 +111,13 @@ createApp({
             localStorage.setItem('quic-rtc-username', this.username.trim());
         },
 
+        // Hand the password to the room page for this tab only
+        saveRoomPassword(roomId) {
+            if (this.password) {
+                sessionStorage.setItem(`room-password:${roomId}`, this.password);
+            }
+        },
+
         showMessage(text, type) {
             this.message = { text, type };
             
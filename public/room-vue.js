@@ -9,7 +9,7 @@ createApp({
             participantCount: 1,
             
             // Media controls
-            micEnabled: true,
+            micEnabled: false, // Follows the client, which unmutes once our role allows it
             videoEnabled: false,
             
             // Camera switching
@@ -42,17 +42,45 @@ createApp({
             doubleTapThreshold: 300,
             fullscreenPeerId: null,
             isRoomCreator: false,
+            myRole: null,
+            myPermissions: [],
+            peerRoles: {},
             showRemoteControls: false,
             overlayPosition: 'overlay-bottom-center',
+
+            // Password prompt for protected rooms
+            showPasswordPrompt: false,
+            passwordInvalid: false,
+            passwordThrottled: false, // Too many wrong passwords, the server wants us to wait
+            roomPassword: '',
+
+            // Lobby: 'waiting' or 'denied' for a guest, pending guests for the host
+            lobbyState: null,
+            lobbyRequests: [],
+
+            // Moderation: room lock state, and why we can't be in the room
+            roomLocked: false,
+            removedState: null,
+            joinOpensAt: null, // When a scheduled meeting we tried too early opens
+            inviteToken: undefined, // From an invite link (?invite=...)
+            inviteError: null, // Why the invite link was refused
+
+            // Room chat, including the backlog replayed on joining
+            chatVisible: false,
+            chatMessages: [],
+            chatDraft: '',
+            unreadMessages: 0,
         };
     },
                 async mounted() {
                     this.setAppHeight();
                     window.addEventListener('resize', this.setAppHeight);
 
-                    // Get room ID and username from URL parameters
+                    // Get room ID (room.html?room=... or /room/:roomId) and invite from the URL
                     const urlParams = new URLSearchParams(window.location.search);
-                    this.roomId = urlParams.get('room') || 'default-room';
+                    const pathMatch = window.location.pathname.match(/^\/room\/([^/]+)/);
+                    this.roomId = urlParams.get('room') || (pathMatch && decodeURIComponent(pathMatch[1])) || 'default-room';
+                    this.inviteToken = urlParams.get('invite') || undefined;
                     this.localUserName = localStorage.getItem('username') || 'Anonymous';
         
                     try {
@@ -85,10 +113,6 @@ createApp({
                 // Join room
                 joinRoom() {
                     if (this.webrtcClient) {
-                        // Check if this is a room creator (first person to join)
-                        const urlParams = new URLSearchParams(window.location.search);
-                        this.isRoomCreator = urlParams.get('creator') === 'true';
-                        
                         // Start a brief grace period to avoid flashing error overlays
                         this.isJoining = true;
                         if (this.joinGraceTimeoutId) clearTimeout(this.joinGraceTimeoutId);
@@ -97,10 +121,10 @@ createApp({
                             this.joinGraceTimeoutId = null;
                         }, 4000);
                         
+                        // Host rights are decided by the server (host token), see hostChanged
                         this.webrtcClient.joinRoom(this.roomId, { 
-                            name: this.localUserName,
-                            isCreator: this.isRoomCreator 
-                        });
+                            name: this.localUserName
+                        }, sessionStorage.getItem(`room-password:${this.roomId}`) || undefined, this.inviteToken);
 
                         // Removed auto-copy; use explicit user action to copy link
                         // this.copyRoomLink();
@@ -190,7 +214,161 @@ createApp({
                         console.log('Participant joined:', data);
                         this.participantCount = data.participantCount || this.participantCount + 1;
                     });
-                    
+
+                    this.webrtcClient.on('passwordRequired', ({ invalid, throttled }) => {
+                        // A saved password that was rejected is of no further use
+                        sessionStorage.removeItem(`room-password:${this.roomId}`);
+                        this.passwordInvalid = invalid;
+                        this.passwordThrottled = throttled;
+                        this.showPasswordPrompt = true;
+                        this.isJoining = false;
+                    });
+
+                    this.webrtcClient.on('hostChanged', (data) => {
+                        const wasHost = this.isRoomCreator;
+                        this.isRoomCreator = data.isHost;
+
+                        if (data.isHost && !wasHost && data.reason !== 'joined') {
+                            this.showConnectionStatus('You are now the host of this meeting', 'success');
+                        } else if (!data.isHost && wasHost) {
+                            this.showRemoteControls = false;
+                            this.lobbyRequests = [];
+                            this.showConnectionStatus('Host rights were handed to another participant', 'warning');
+                        } else if (!data.isHost && data.reason !== 'joined') {
+                            const host = this.remotePeers.find(p => p.id === data.hostId);
+                            this.showConnectionStatus(`${(host && host.username) || 'Another participant'} is now the host`, 'success');
+                        }
+                    });
+
+                    this.webrtcClient.on('roleChanged', (data) => {
+                        if (!data.isSelf) {
+                            this.peerRoles = { ...this.peerRoles, [data.userId]: data.role };
+                            return;
+                        }
+
+                        const previousRole = this.myRole;
+                        this.myRole = data.role;
+                        this.myPermissions = data.permissions;
+
+                        if (!this.can('remote-control')) {
+                            this.showRemoteControls = false;
+                        }
+                        if (!this.can('manage-lobby')) {
+                            this.lobbyRequests = [];
+                        }
+                        if (previousRole && previousRole !== data.role) {
+                            this.showConnectionStatus(`Your role is now ${data.role}`, 'success');
+                        }
+                    });
+
+                    this.webrtcClient.on('permissionDenied', (error) => {
+                        this.showConnectionStatus(error.message || 'Your role does not allow that', 'warning');
+                    });
+
+                    this.webrtcClient.on('removed', (data) => {
+                        this.removedState = data.reason;
+                        this.lobbyState = null;
+                        this.showRemoteControls = false;
+                    });
+
+                    this.webrtcClient.on('joinRejected', (error) => {
+                        this.removedState = {
+                            ROOM_BANNED: 'banned',
+                            ROOM_LOCKED: 'locked',
+                            ROOM_FULL: 'full',
+                            ROOM_NOT_STARTED: 'not-started',
+                            ROOM_ENDED: 'ended',
+                            INVITE_INVALID: 'invite',
+                            INVITE_EXPIRED: 'invite',
+                            INVITE_REVOKED: 'invite',
+                            INVITE_USED_UP: 'invite'
+                        }[error.code];
+                        this.inviteError = error.code.startsWith('INVITE_') ? error.message : null;
+                        this.joinOpensAt = error.joinOpensAt ? new Date(error.joinOpensAt) : null;
+                        this.isJoining = false;
+                    });
+
+                    this.webrtcClient.on('connectionLost', () => {
+                        this.showConnectionStatus('Connection lost, reconnecting…', 'warning');
+                    });
+
+                    this.webrtcClient.on('serverShuttingDown', () => {
+                        this.showConnectionStatus('The server is restarting, reconnecting shortly…', 'warning');
+                    });
+
+                    this.webrtcClient.on('sessionResumed', () => {
+                        this.showConnectionStatus('Reconnected', 'success');
+                    });
+
+                    this.webrtcClient.on('sessionExpired', () => {
+                        // Too late to resume; join again as a new participant
+                        this.showConnectionStatus('Rejoining the meeting…', 'warning');
+                        this.joinRoom();
+                    });
+
+                    this.webrtcClient.on('peerReconnecting', (peerId) => {
+                        const peer = this.remotePeers.find(p => p.id === peerId);
+                        this.showConnectionStatus(`${(peer && peer.username) || 'A participant'} is reconnecting…`, 'warning');
+                    });
+
+                    this.webrtcClient.on('roomExpired', (data) => {
+                        this.removedState = data.reason === 'idle' ? 'idle' : 'ended';
+                        this.lobbyState = null;
+                        this.showRemoteControls = false;
+                    });
+
+                    this.webrtcClient.on('systemNotice', (data) => {
+                        this.showConnectionStatus(data.message, data.level === 'warning' ? 'warning' : 'info');
+                    });
+
+                    this.webrtcClient.on('roomLockChanged', (data) => {
+                        const changed = this.roomLocked !== data.locked;
+                        this.roomLocked = data.locked;
+                        if (changed && data.byUserId) {
+                            this.showConnectionStatus(data.locked ? 'The meeting is now locked' : 'The meeting is unlocked', 'success');
+                        }
+                    });
+
+                    this.webrtcClient.on('chatHistory', (messages) => {
+                        // Replayed on every join, so it replaces what we have
+                        this.chatMessages = messages;
+                        this.scrollChatToEnd();
+                    });
+
+                    this.webrtcClient.on('chatMessage', (message) => {
+                        this.addChatMessage(message);
+                        if (!this.chatVisible || document.hidden) {
+                            this.unreadMessages++;
+                        }
+                    });
+
+                    this.webrtcClient.on('lobbyWaiting', () => {
+                        this.lobbyState = 'waiting';
+                        this.isJoining = false;
+                    });
+
+                    this.webrtcClient.on('lobbyAdmitted', () => {
+                        this.lobbyState = null;
+                        this.showConnectionStatus('You have been admitted to the meeting', 'success');
+                    });
+
+                    this.webrtcClient.on('lobbyDenied', () => {
+                        this.lobbyState = 'denied';
+                    });
+
+                    this.webrtcClient.on('lobbyRequest', (data) => {
+                        if (!this.lobbyRequests.some(r => r.userId === data.userId)) {
+                            this.lobbyRequests.push({
+                                userId: data.userId,
+                                name: (data.userData && data.userData.name) || 'Guest'
+                            });
+                        }
+                    });
+
+                    this.webrtcClient.on('lobbyCancelled', (data) => {
+                        this.lobbyRequests = this.lobbyRequests.filter(r => r.userId !== data.userId);
+                    });
+
                                 this.webrtcClient.on('participantLeft', (data) => {
                                     console.log('Participant left:', data);
                                     this.participantCount = Math.max(1, this.participantCount - 1);
@@ -536,7 +714,7 @@ createApp({
             if (this.webrtcClient) {
                 this.webrtcClient.leaveRoom();
             }
-            window.location.href = 'index.html';
+            window.location.href = '/';
         },
         
         showConnectionStatus(message, type) {
@@ -603,19 +781,145 @@ createApp({
             this.updateVideoGridLayout();
         },
 
-        // Remote control methods for room creator
+        // Retry joining a password-protected room
+        submitRoomPassword() {
+            const password = this.roomPassword;
+            if (!password) return;
+
+            sessionStorage.setItem(`room-password:${this.roomId}`, password);
+            this.showPasswordPrompt = false;
+            this.roomPassword = '';
+            this.joinRoom();
+        },
+
+        // Whether our role grants a permission; drives which controls are shown
+        can(permission) {
+            return this.myPermissions.includes(permission);
+        },
+
+        // Roles we may give this participant; co-hosts can't promote or demote co-hosts
+        assignableRoles(peerId) {
+            if (this.myRole === 'host') {
+                return ['co-host', 'presenter', 'attendee', 'viewer'];
+            }
+            if (this.myRole === 'co-host' && this.peerRoles[peerId] !== 'co-host') {
+                return ['presenter', 'attendee', 'viewer'];
+            }
+            return [];
+        },
+
+        changeRole(peerId, role) {
+            if (this.webrtcClient && this.can('set-role')) {
+                this.webrtcClient.setRole(peerId, role);
+            }
+        },
+
+        // Moderation only reaches participants below us, like role changes:
+        // never the host, and co-hosts only from the host
+        outranks(peerId) {
+            const role = this.peerRoles[peerId] || 'attendee';
+            if (role === 'host') return false;
+            return this.myRole === 'host' || role !== 'co-host';
+        },
+
+        canRemove(peerId) {
+            return this.can('remove-participant') && this.outranks(peerId);
+        },
+
+        canControl(peerId) {
+            return this.can('remote-control') && this.outranks(peerId);
+        },
+
+        removeParticipant(peerId, ban) {
+            const peer = this.remotePeers.find(p => p.id === peerId);
+            const name = (peer && peer.username) || 'this participant';
+            const question = ban
+                ? `Ban ${name}? They won't be able to rejoin this meeting.`
+                : `Remove ${name} from the meeting?`;
+            if (this.webrtcClient && window.confirm(question)) {
+                this.webrtcClient.removeParticipant(peerId, ban);
+            }
+        },
+
+        // Try a scheduled meeting again once its join window may have opened
+        retryJoin() {
+            this.removedState = null;
+            this.joinOpensAt = null;
+            this.joinRoom();
+        },
+
+        toggleRoomLock() {
+            if (this.webrtcClient && this.can('lock-room')) {
+                this.webrtcClient.lockRoom(!this.roomLocked);
+            }
+        },
+
+        // Lobby decisions for host and co-hosts
+        respondToLobbyRequest(userId, admit) {
+            if (this.webrtcClient) {
+                this.webrtcClient.respondToLobbyRequest(userId, admit);
+            }
+            this.lobbyRequests = this.lobbyRequests.filter(r => r.userId !== userId);
+        },
+
+        // Remote control methods for host and co-hosts
+        toggleChat() {
+            this.chatVisible = !this.chatVisible;
+            if (this.chatVisible) {
+                this.unreadMessages = 0;
+                this.scrollChatToEnd();
+            }
+        },
+
+        async sendChatMessage() {
+            const text = this.chatDraft.trim();
+            if (!text || !this.webrtcClient) return;
+
+            try {
+                this.addChatMessage(await this.webrtcClient.sendChatMessage(text));
+                this.chatDraft = '';
+            } catch (error) {
+                console.error('Failed to send chat message:', error);
+                this.showConnectionStatus('Could not send the message', 'error');
+            }
+        },
+
+        addChatMessage(message) {
+            this.chatMessages.push(message);
+            this.scrollChatToEnd();
+        },
+
+        isOwnMessage(message) {
+            return Boolean(this.webrtcClient) && message.senderId === this.webrtcClient.participantId;
+        },
+
+        scrollChatToEnd() {
+            this.$nextTick(() => {
+                const list = this.$refs.chatMessages;
+                if (list) {
+                    list.scrollTop = list.scrollHeight;
+                }
+            });
+        },
+
         toggleRemoteControls() {
             this.showRemoteControls = !this.showRemoteControls;
         },
 
-        controlRemoteVideo(peerId, enable) {
+        makeHost(peerId) {
             if (this.webrtcClient && this.isRoomCreator) {
+                this.webrtcClient.transferHost(peerId);
+            }
+        },
+
+        controlRemoteVideo(peerId, enable) {
+            if (this.webrtcClient && this.canControl(peerId)) {
                 this.webrtcClient.sendRemoteControl(peerId, 'video', enable);
             }
         },
 
         controlRemoteAudio(peerId, enable) {
-            if (this.webrtcClient && this.isRoomCreator) {
+            if (this.webrtcClient && this.canControl(peerId)) {
                 this.webrtcClient.sendRemoteControl(peerId, 'audio', enable);
             }
         },
@@ -6,9 +6,22 @@ class WebRTCClient {
         this.useWebTransport = false;
         this.localStream = null;
         this.peers = new Map();
+        this.mediaMode = 'mesh'; // 'mesh': a connection per peer; 'sfu': one connection to the server's SFU
+        this.sfuConnection = null;
+        this.sfuStreams = new Map(); // Remote streams received through the SFU, by participant
+        this.migrationTimer = null;
+        this.migrationTimeoutMs = 10000; // Longest the old topology is kept while moving to the other one
         this.roomId = null;
         this.username = null;
-        this.isAudioEnabled = true;
+        this.hostId = null; // Participant ID of whoever holds host rights
+        this.participantId = null; // Our ID in the room; outlives socket reconnects
+        this.resumeToken = null; // Lets us take our slot back after a network drop
+        this.pendingJoin = null; // Last join-room request, re-sent if a draining server turned it away
+        this.reconnectTimer = null;
+        this.role = null; // Our role in the room and what it allows
+        this.permissions = [];
+        this.participantRoles = new Map(); // Roles of the other participants
+        this.isAudioEnabled = false; // Switched on once our role turns out to allow it
         this.isVideoEnabled = false;
         this.currentCameraDeviceId = null;
         this.currentMicDeviceId = null;
@@ -20,10 +33,14 @@ class WebRTCClient {
         // Encryption setup
         this.cryptoClient = new CryptoClient();
         this.roomKey = null;
+        this.roomKeyPromise = null; // Resolves to roomKey once room-keys has been imported
         this.keyPair = null;
         this.peerKeys = new Map(); // Store shared keys with each peer
         
-        // STUN/TURN configuration with performance optimizations
+        // STUN/TURN configuration with performance optimizations. The ICE
+        // servers are replaced by the server's (see loadIceServers); these
+        // public STUN servers are only the fallback.
+        this.iceRefreshTimer = null;
         this.rtcConfig = {
             iceServers: [
                 { urls: 'stun:stun.l.google.com:19302' },
@@ -77,6 +94,10 @@ class WebRTCClient {
                 console.log('WebTransport not supported, using WebRTC Data Channels');
             }
             
+            // Peer connections are only created from signaling events, so
+            // loading ICE servers first means every one of them uses them
+            await this.loadIceServers();
+
             // Initialize Socket.IO connection
             this.socket = io();
             this.setupSocketHandlers();
@@ -91,21 +112,88 @@ class WebRTCClient {
         }
     }
 
+    // The server's STUN servers. TURN servers and their credentials only come
+    // over the socket once we're in a room (see applyIceServers).
+    async loadIceServers() {
+        try {
+            const response = await fetch('/api/ice-servers', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.applyIceServers(await response.json());
+        } catch (error) {
+            console.warn('Could not load ICE servers, using the defaults:', error);
+        }
+    }
+
+    // Use an ICE configuration from the server. Short-lived TURN credentials
+    // are renewed before they expire, for new peers and for existing ones whose
+    // TURN allocations are refreshed with them.
+    applyIceServers(config) {
+        clearTimeout(this.iceRefreshTimer);
+        this.rtcConfig.iceServers = config.iceServers;
+        this.rtcConfig.iceTransportPolicy = config.iceTransportPolicy || 'all';
+        if (config.ttl) {
+            this.iceRefreshTimer = setTimeout(
+                () => this.socket.emit('refresh-ice-servers'),
+                Math.max(60, config.ttl * 0.8) * 1000
+            );
+        }
+        this.getPeerConnections().forEach(peerConnection => peerConnection.setConfiguration(this.rtcConfig));
+    }
+
     setupSocketHandlers() {
-        // User joined room
+        // ICE servers with TURN credentials, on joining and when renewed
+        this.socket.on('ice-servers', (config) => this.applyIceServers(config));
+
+        // How this room exchanges media; sent before anyone is announced, and
+        // again when the server moves the room between mesh and the SFU
+        this.socket.on('media-mode', (data) => {
+            if (data.mode === this.mediaMode) return;
+
+            console.log(`Moving media from ${this.mediaMode} to ${data.mode}`);
+            this.mediaMode = data.mode;
+            if (data.mode === 'sfu') {
+                this.migrateToSfu();
+            } else {
+                this.migrateToMesh(data.participants || []);
+            }
+        });
+
+        // User joined room (in SFU rooms their media arrives through the SFU)
         this.socket.on('user-joined', (data) => {
             console.log('User joined:', data);
-            this.createPeerConnection(data.userId, true);
+            this.setParticipantRole(data.userId, data.role);
+            if (this.mediaMode === 'mesh') {
+                this.createPeerConnection(data.userId, true);
+            }
         });
 
         // Existing participants
         this.socket.on('existing-participants', (participants) => {
             console.log('Existing participants:', participants);
             participants.forEach(participant => {
-                this.createPeerConnection(participant.id, false);
+                this.setParticipantRole(participant.id, participant.role);
+                if (this.mediaMode === 'mesh') {
+                    this.createPeerConnection(participant.id, false);
+                }
             });
         });
 
+        // SFU signaling: the SFU always offers, we answer
+        this.socket.on('sfu-offer', async (data) => {
+            await this.handleSfuOffer(data);
+        });
+
+        this.socket.on('sfu-ice-candidate', async (data) => {
+            if (!this.sfuConnection) return;
+            try {
+                await this.sfuConnection.addIceCandidate(data.candidate);
+            } catch (error) {
+                console.error('Error handling SFU ICE candidate:', error);
+            }
+        });
+
         // WebRTC signaling
         this.socket.on('offer', async (data) => {
             await this.handleOffer(data);
@@ -135,7 +223,8 @@ class WebRTCClient {
                 const { roomKeys, yourKeyPair } = data;
                 
                 // Import room encryption key
-                this.roomKey = await this.cryptoClient.importKey(roomKeys.encryptionKey);
+                this.roomKeyPromise = this.cryptoClient.importKey(roomKeys.encryptionKey);
+                this.roomKey = await this.roomKeyPromise;
                 
                 // Store our key pair (we'll use this for peer-to-peer key exchange)
                 // Accept either JWK object or JSON-stringified JWK for public key
@@ -162,20 +251,209 @@ class WebRTCClient {
             }
         });
 
+        // Room chat: live messages and, right after joining, the backlog from
+        // before we arrived. Both are ciphertext only the room key opens.
+        this.socket.on('encrypted-chat-message', async (message) => {
+            const decrypted = await this.decryptChatMessage(message);
+            if (decrypted) {
+                this.emit('chatMessage', decrypted);
+            }
+        });
+
+        this.socket.on('chat-history', async (data) => {
+            const messages = await Promise.all(data.messages.map(message => this.decryptChatMessage(message)));
+            this.emit('chatHistory', messages.filter(Boolean));
+        });
+
         // Connection events
         this.socket.on('connect', () => {
             console.log('Connected to signaling server');
+
+            // Reconnected with a new socket: ask for our old participant slot back,
+            // or try a join that a draining server refused again
+            if (this.resumeToken) {
+                this.socket.emit('resume-session', {
+                    roomId: this.roomId,
+                    participantId: this.participantId,
+                    resumeToken: this.resumeToken,
+                    sessionId: this.getSessionId()
+                });
+            } else if (this.pendingJoin) {
+                const { roomId, userData, password, invite } = this.pendingJoin;
+                this.joinRoom(roomId, userData, password, invite);
+            }
         });
 
-        this.socket.on('disconnect', () => {
+        // The server is shutting down: move to another instance when it tells us to
+        this.socket.on('server-shutting-down', (data) => {
+            this.emit('serverShuttingDown', data);
+            this.reconnectElsewhere(data.reconnectAfterMs);
+        });
+
+        this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from signaling server');
+            if (reason !== 'io client disconnect') {
+                this.emit('connectionLost', reason);
+            }
+        });
+
+        // Session resumption: peer connections survive the drop, only ICE restarts
+        this.socket.on('session', (data) => {
+            this.participantId = data.participantId;
+            this.resumeToken = data.resumeToken;
+            this.pendingJoin = null;
+        });
+
+        this.socket.on('session-resumed', () => {
+            console.log('Session resumed, restarting ICE with all peers');
+            this.peers.forEach((peer, userId) => {
+                this.createOffer(userId, { iceRestart: true });
+            });
+            this.emit('sessionResumed');
+        });
+
+        this.socket.on('user-reconnecting', (data) => {
+            this.emit('peerReconnecting', data.userId);
+        });
+
+        this.socket.on('user-reconnected', (data) => {
+            this.emit('peerReconnected', data.userId);
         });
 
         this.socket.on('error', (error) => {
+            // Password-protected room: let the UI prompt instead of failing
+            if (['ROOM_PASSWORD_REQUIRED', 'ROOM_PASSWORD_INVALID', 'ROOM_PASSWORD_ATTEMPTS_EXCEEDED'].includes(error.code)) {
+                this.pendingJoin = null;
+                this.emit('passwordRequired', {
+                    invalid: error.code === 'ROOM_PASSWORD_INVALID',
+                    throttled: error.code === 'ROOM_PASSWORD_ATTEMPTS_EXCEEDED',
+                    message: error.message
+                });
+                return;
+            }
+
+            // Kept out of the room: banned, the room is locked or full, we are
+            // outside a scheduled meeting's window, or our invite link can't be
+            // used. Errors tagged with an event answer something we sent once inside.
+            const rejections = [
+                'ROOM_BANNED', 'ROOM_LOCKED', 'ROOM_FULL', 'ROOM_NOT_STARTED', 'ROOM_ENDED',
+                'INVITE_INVALID', 'INVITE_EXPIRED', 'INVITE_REVOKED', 'INVITE_USED_UP'
+            ];
+            if (rejections.includes(error.code) && !error.event) {
+                this.pendingJoin = null;
+                this.emit('joinRejected', error);
+                return;
+            }
+
+            // The server is draining; join or resume on the next instance instead
+            if (error.code === 'SERVER_DRAINING') {
+                this.emit('serverShuttingDown', error);
+                this.reconnectElsewhere(error.retryAfterMs);
+                return;
+            }
+
+            // Our slot is gone: start over with fresh peer connections
+            if (error.code === 'SESSION_EXPIRED') {
+                this.resumeToken = null;
+                Array.from(this.peers.keys()).forEach(userId => this.removePeer(userId));
+                Array.from(this.sfuStreams.keys()).forEach(userId => this.removePeer(userId));
+                this.closeSfuConnection();
+                clearTimeout(this.migrationTimer);
+                this.emit('sessionExpired');
+                return;
+            }
+
+            // The server dropped one of our events as malformed or too frequent
+            if (['INVALID_PAYLOAD', 'PAYLOAD_TOO_LARGE', 'RATE_LIMITED', 'UNKNOWN_EVENT'].includes(error.code)) {
+                console.warn(`Server rejected ${error.event}:`, error.message);
+                return;
+            }
+
+            // Our role doesn't allow what we tried; not a connection problem
+            if (error.code === 'FORBIDDEN') {
+                this.emit('permissionDenied', error);
+                return;
+            }
+
             console.error('Socket error:', error);
             this.showError('Connection error: ' + error.message);
         });
 
+        // Host identity: the token lets us reclaim host rights after a reconnect
+        this.socket.on('host-token', (data) => {
+            localStorage.setItem(`host-token:${data.roomId}`, data.hostToken);
+        });
+
+        this.socket.on('host-changed', (data) => {
+            this.hostId = data.hostId;
+            const isHost = data.hostId === this.participantId;
+
+            // Host rights were handed to someone else; our token is no longer valid
+            if (!isHost && data.previousHostId === this.participantId) {
+                localStorage.removeItem(`host-token:${this.roomId}`);
+            }
+
+            this.emit('hostChanged', { ...data, isHost });
+        });
+
+        // Roles: ours decides which controls we get, the others' are shown as labels
+        this.socket.on('role-changed', (data) => {
+            const isSelf = data.userId === this.participantId;
+            if (isSelf) {
+                const firstRole = this.role === null;
+                this.role = data.role;
+                this.permissions = data.permissions;
+                this.applyRolePermissions(firstRole);
+            } else {
+                this.setParticipantRole(data.userId, data.role);
+            }
+
+            this.emit('roleChanged', { ...data, isSelf });
+        });
+
+        // Moderation: we were kicked or banned, or the room was (un)locked
+        this.socket.on('removed', (data) => {
+            this.emit('removed', data);
+            this.leaveRoom();
+        });
+
+        // The meeting reached its maximum duration or sat idle too long
+        this.socket.on('room-expired', (data) => {
+            this.emit('roomExpired', data);
+            this.leaveRoom();
+        });
+
+        this.socket.on('room-locked', (data) => {
+            this.emit('roomLockChanged', data);
+        });
+
+        // Announcement from the server operator
+        this.socket.on('system-notice', (data) => {
+            this.emit('systemNotice', data);
+        });
+
+        // Lobby (waiting room): guest side
+        this.socket.on('lobby-waiting', (data) => {
+            this.emit('lobbyWaiting', data);
+        });
+
+        this.socket.on('lobby-admitted', (data) => {
+            this.emit('lobbyAdmitted', data);
+        });
+
+        this.socket.on('lobby-denied', (data) => {
+            this.emit('lobbyDenied', data);
+        });
+
+        // Lobby: host side
+        this.socket.on('lobby-request', (data) => {
+            this.emit('lobbyRequest', data);
+        });
+
+        this.socket.on('lobby-cancelled', (data) => {
+            this.emit('lobbyCancelled', data);
+        });
+
         // Handle remote control commands
         this.socket.on('remote-control-video', (data) => {
             this.handleRemoteControl('video', data.enable);
@@ -211,12 +489,18 @@ class WebRTCClient {
 
             this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
 
-            // Keep video off by default
+            // Keep video off by default, and the microphone until we know our
+            // role allows it (see applyRolePermissions)
             const videoTrack = this.localStream.getVideoTracks()[0];
             if (videoTrack) {
                 videoTrack.enabled = false;
                 this.isVideoEnabled = false;
             }
+            const audioTrack = this.localStream.getAudioTracks()[0];
+            if (audioTrack) {
+                audioTrack.enabled = false;
+                this.isAudioEnabled = false;
+            }
 
             // Update local video element
             const localVideo = document.getElementById('localVideo');
@@ -282,6 +566,12 @@ class WebRTCClient {
                         this.optimizeVideoTrack(track);
                     }
                 });
+
+                // Moving off the SFU: keep playing what it forwards until this connection is up
+                if (this.sfuStreams.has(userId) && peerConnection.connectionState !== 'connected') {
+                    this.peers.get(userId).pendingStream = stream;
+                    return;
+                }
                 
                 this.handleRemoteStream(userId, stream);
             };
@@ -299,6 +589,10 @@ class WebRTCClient {
             // Handle connection state changes
             peerConnection.onconnectionstatechange = () => {
                 console.log(`Connection state with ${userId}:`, peerConnection.connectionState);
+
+                if (peerConnection.connectionState === 'connected') {
+                    this.handleMeshPeerConnected(userId);
+                }
                 
                 if (peerConnection.connectionState === 'failed') {
                     console.log('Connection failed, attempting to restart ICE');
@@ -309,7 +603,8 @@ class WebRTCClient {
             // Store peer connection
             this.peers.set(userId, {
                 peerConnection,
-                dataChannel: dataChannel || null
+                dataChannel: dataChannel || null,
+                pendingStream: null // Held back while the SFU still carries this peer
             });
 
             // If initiator, create and send offer
@@ -324,6 +619,195 @@ class WebRTCClient {
         }
     }
 
+    // Our one connection in an SFU room: it publishes our tracks and carries
+    // everyone else's
+    createSfuConnection() {
+        const peerConnection = new RTCPeerConnection(this.rtcConfig);
+        this.optimizeVideoPerformance(peerConnection);
+
+        peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('sfu-ice-candidate', { candidate: event.candidate });
+            }
+        };
+
+        peerConnection.onconnectionstatechange = () => {
+            console.log('Connection state with the SFU:', peerConnection.connectionState);
+        };
+
+        this.sfuConnection = peerConnection;
+        console.log('Created SFU connection');
+        return peerConnection;
+    }
+
+    // The offer lists which m-lines we publish on and whose tracks the others carry
+    async handleSfuOffer(data) {
+        try {
+            const { offer, publish, tracks } = data;
+            // After moving to mesh the SFU may renegotiate until it lets go of us
+            if (!this.sfuConnection && this.mediaMode !== 'sfu') return;
+            const peerConnection = this.sfuConnection || this.createSfuConnection();
+
+            await peerConnection.setRemoteDescription(offer);
+
+            const transceivers = peerConnection.getTransceivers();
+            publish.forEach(({ kind, mid }) => {
+                const transceiver = transceivers.find(t => t.mid === mid);
+                const track = this.localStream && this.localStream.getTracks().find(t => t.kind === kind);
+                if (transceiver) {
+                    if (track && track.kind === 'video') {
+                        this.optimizeVideoTrack(track);
+                    }
+                    transceiver.direction = 'sendonly';
+                    transceiver.sender.replaceTrack(track || null);
+                }
+            });
+
+            const answer = await peerConnection.createAnswer();
+            await peerConnection.setLocalDescription(answer);
+
+            this.socket.emit('sfu-answer', { answer: answer });
+            this.updateSfuStreams(transceivers, tracks);
+
+        } catch (error) {
+            console.error('Error handling SFU offer:', error);
+        }
+    }
+
+    // Group the tracks the SFU forwards into one stream per participant. A
+    // stream is only replaced when its tracks changed, so video elements don't
+    // restart on every renegotiation.
+    updateSfuStreams(transceivers, tracks) {
+        const tracksByParticipant = new Map();
+        tracks.forEach(({ mid, participantId }) => {
+            const transceiver = transceivers.find(t => t.mid === mid);
+            if (!transceiver) return;
+            if (!tracksByParticipant.has(participantId)) {
+                tracksByParticipant.set(participantId, []);
+            }
+            tracksByParticipant.get(participantId).push(transceiver.receiver.track);
+        });
+
+        tracksByParticipant.forEach((participantTracks, participantId) => {
+            const current = this.sfuStreams.get(participantId);
+            if (current && current.getTracks().length === participantTracks.length &&
+                participantTracks.every(track => current.getTrackById(track.id))) {
+                return;
+            }
+
+            participantTracks.forEach(track => {
+                if (track.kind === 'video') {
+                    this.optimizeVideoTrack(track);
+                }
+            });
+            const stream = new MediaStream(participantTracks);
+            this.sfuStreams.set(participantId, stream);
+            if (this.mediaMode !== 'sfu') return;
+
+            if (this.peers.has(participantId)) {
+                // Still connected directly: switch over once their media arrives here
+                const track = participantTracks.find(t => t.kind === 'audio') || participantTracks[0];
+                if (track.muted) {
+                    track.addEventListener('unmute', () => this.retireMeshPeer(participantId), { once: true });
+                } else {
+                    this.retireMeshPeer(participantId);
+                }
+            } else {
+                this.handleRemoteStream(participantId, stream);
+            }
+        });
+    }
+
+    // Moving to the SFU, make-before-break: each mesh connection stays up until
+    // the same participant's media arrives through the SFU (see updateSfuStreams).
+    // The SFU sends a fresh offer; a connection left from earlier is of no use.
+    migrateToSfu() {
+        this.closeSfuConnection();
+        this.sfuStreams.clear();
+        clearTimeout(this.migrationTimer);
+        this.migrationTimer = setTimeout(() => {
+            Array.from(this.peers.keys()).forEach(userId => this.retireMeshPeer(userId));
+        }, this.migrationTimeoutMs);
+    }
+
+    // Close a mesh connection whose participant now comes through the SFU
+    retireMeshPeer(userId) {
+        const peer = this.peers.get(userId);
+        if (!peer) return;
+
+        peer.peerConnection.close();
+        if (peer.dataChannel) {
+            peer.dataChannel.close();
+        }
+        this.peers.delete(userId);
+
+        const stream = this.sfuStreams.get(userId);
+        if (stream) {
+            this.handleRemoteStream(userId, stream);
+        }
+        if (this.peers.size === 0) {
+            clearTimeout(this.migrationTimer);
+        }
+    }
+
+    // Moving back to mesh, make-before-break: connect to everyone directly (the
+    // lower participant ID makes the offer) and keep the SFU connection until
+    // all of them are connected
+    migrateToMesh(participantIds) {
+        participantIds
+            .filter(userId => userId !== this.participantId && !this.peers.has(userId))
+            .forEach(userId => this.createPeerConnection(userId, this.participantId < userId));
+
+        clearTimeout(this.migrationTimer);
+        this.migrationTimer = setTimeout(() => this.finishMeshMigration(), this.migrationTimeoutMs);
+        if (this.peers.size === 0) {
+            this.finishMeshMigration();
+        }
+    }
+
+    handleMeshPeerConnected(userId) {
+        const peer = this.peers.get(userId);
+        if (peer && peer.pendingStream) {
+            this.handleRemoteStream(userId, peer.pendingStream);
+            peer.pendingStream = null;
+        }
+
+        const allConnected = Array.from(this.peers.values())
+            .every(p => p.peerConnection.connectionState === 'connected');
+        if (this.mediaMode === 'mesh' && this.sfuConnection && allConnected) {
+            this.finishMeshMigration();
+        }
+    }
+
+    // Everyone is connected directly (or the timeout passed): drop the SFU
+    finishMeshMigration() {
+        clearTimeout(this.migrationTimer);
+        this.peers.forEach((peer, userId) => {
+            if (peer.pendingStream) {
+                this.handleRemoteStream(userId, peer.pendingStream);
+                peer.pendingStream = null;
+            }
+        });
+        this.closeSfuConnection();
+        this.sfuStreams.clear();
+    }
+
+    closeSfuConnection() {
+        if (this.sfuConnection) {
+            this.sfuConnection.close();
+            this.sfuConnection = null;
+        }
+    }
+
+    // Every connection carrying our media: mesh peers, or the SFU
+    getPeerConnections() {
+        const peerConnections = Array.from(this.peers.values()).map(peer => peer.peerConnection);
+        if (this.sfuConnection) {
+            peerConnections.push(this.sfuConnection);
+        }
+        return peerConnections;
+    }
+
     setupDataChannel(dataChannel, userId) {
         dataChannel.onopen = () => {
             console.log(`Data channel opened with ${userId}`);
@@ -353,12 +837,12 @@ class WebRTCClient {
         };
     }
 
-    async createOffer(userId) {
+    async createOffer(userId, options = {}) {
         try {
             const peer = this.peers.get(userId);
             if (!peer) return;
 
-            const offer = await peer.peerConnection.createOffer();
+            const offer = await peer.peerConnection.createOffer(options);
             await peer.peerConnection.setLocalDescription(offer);
 
             this.socket.emit('offer', {
@@ -437,6 +921,8 @@ class WebRTCClient {
     }
 
     removePeer(userId) {
+        this.participantRoles.delete(userId);
+        this.sfuStreams.delete(userId);
         const peer = this.peers.get(userId);
         if (peer) {
             // Close peer connection
@@ -462,6 +948,11 @@ class WebRTCClient {
         if (this.localStream) {
             const audioTrack = this.localStream.getAudioTracks()[0];
             if (audioTrack) {
+                if (!audioTrack.enabled && !this.can('unmute')) {
+                    this.emit('permissionDenied', { event: 'media-state-change', message: 'Your role does not allow unmute' });
+                    return false;
+                }
+
                 audioTrack.enabled = !audioTrack.enabled;
                 this.isAudioEnabled = audioTrack.enabled;
                 
@@ -515,8 +1006,8 @@ class WebRTCClient {
             console.log('Updated local stream with new video track');
             this.emit('localStreamUpdated', this.localStream);
             const replacePromises = [];
-            this.peers.forEach((peer) => {
-                const sender = peer.peerConnection.getSenders().find(s => 
+            this.getPeerConnections().forEach((peerConnection) => {
+                const sender = peerConnection.getSenders().find(s => 
                     s.track && s.track.kind === 'video'
                 );
                 if (sender) {
@@ -571,8 +1062,8 @@ class WebRTCClient {
             this.emit('localStreamUpdated', this.localStream);
             // Replace audio track in all peer connections
             const replacePromises = [];
-            this.peers.forEach((peer) => {
-                const sender = peer.peerConnection.getSenders().find(s => 
+            this.getPeerConnections().forEach((peerConnection) => {
+                const sender = peerConnection.getSenders().find(s => 
                     s.track && s.track.kind === 'audio'
                 );
                 if (sender) {
@@ -592,6 +1083,11 @@ class WebRTCClient {
         if (this.localStream) {
             const videoTrack = this.localStream.getVideoTracks()[0];
             if (videoTrack) {
+                if (!videoTrack.enabled && !this.can('video')) {
+                    this.emit('permissionDenied', { event: 'media-state-change', message: 'Your role does not allow video' });
+                    return false;
+                }
+
                 videoTrack.enabled = !videoTrack.enabled;
                 this.isVideoEnabled = videoTrack.enabled;
                 
@@ -606,9 +1102,42 @@ class WebRTCClient {
         return false;
     }
 
+    // Send a chat message to the room, encrypted with the room key so the
+    // server only ever relays and stores ciphertext. Resolves to the message
+    // as we show it ourselves, since the server doesn't echo it back.
+    async sendChatMessage(text) {
+        const key = await this.roomKeyPromise;
+        if (!key) {
+            throw new Error('Room key not received yet');
+        }
+        const { encrypted, iv } = await this.cryptoClient.encrypt(text, key);
+        const timestamp = new Date().toISOString();
+        this.socket.emit('encrypted-chat-message', { encryptedMessage: encrypted, iv, timestamp });
+        return {
+            id: `local-${timestamp}`,
+            senderId: this.participantId,
+            senderName: this.username,
+            timestamp,
+            text
+        };
+    }
 
-
-
+    // Decrypt a chat envelope with the room key; null if it can't be read
+    async decryptChatMessage(message) {
+        try {
+            const key = await this.roomKeyPromise;
+            return {
+                id: message.id,
+                senderId: message.senderId,
+                senderName: message.senderName,
+                timestamp: message.timestamp,
+                text: await this.cryptoClient.decrypt(message.encryptedMessage, key, message.iv)
+            };
+        } catch (error) {
+            console.warn('Could not decrypt chat message:', error);
+            return null;
+        }
+    }
 
     handleDataChannelMessage(userId, data) {
         console.log('Unknown data channel message type:', data.type);
@@ -641,19 +1170,51 @@ class WebRTCClient {
 
 
 
-    // Join room
-    joinRoom(roomId, userData) {
+    // Join room (password only needed for protected rooms, invite when
+    // following an invite link)
+    joinRoom(roomId, userData, password, invite) {
         this.roomId = roomId;
         this.username = userData.name;
+        this.pendingJoin = { roomId, userData, password, invite };
         
         this.socket.emit('join-room', {
             roomId: roomId,
-            userData: userData
+            userData: userData,
+            password: password,
+            hostToken: localStorage.getItem(`host-token:${roomId}`) || undefined,
+            invite: invite,
+            sessionId: this.getSessionId()
         });
     }
 
+    // Drop the signaling connection after the server's hint and connect again;
+    // the load balancer sends the new connection to an instance that isn't draining
+    reconnectElsewhere(delayMs = 0) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.socket.disconnect();
+            this.socket.connect();
+        }, delayMs);
+    }
+
+    // Stable per-browser identity the server uses to keep banned users out
+    getSessionId() {
+        let sessionId = localStorage.getItem('quic-rtc-session-id');
+        if (!sessionId) {
+            sessionId = crypto.randomUUID();
+            localStorage.setItem('quic-rtc-session-id', sessionId);
+        }
+        return sessionId;
+    }
+
     // Leave room
     leaveRoom() {
+        this.resumeToken = null;
+        this.pendingJoin = null;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.iceRefreshTimer);
+        clearTimeout(this.migrationTimer);
+
         // Stop all streams
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
@@ -669,6 +1230,10 @@ class WebRTCClient {
         
         this.peers.clear();
 
+        this.closeSfuConnection();
+        this.sfuStreams.clear();
+        this.mediaMode = 'mesh';
+
         // Disconnect socket
         if (this.socket) {
             this.socket.disconnect();
@@ -743,8 +1308,34 @@ class WebRTCClient {
         });
     }
 
+    // Keep what we send within what our role allows: microphone and camera go
+    // off when it doesn't allow them, and the microphone comes on with the first
+    // role that does, since people join unmuted
+    applyRolePermissions(firstRole) {
+        const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+        const audio = this.can('unmute') && (firstRole || this.isAudioEnabled);
+        if (audioTrack && audio !== this.isAudioEnabled) {
+            audioTrack.enabled = audio;
+            this.isAudioEnabled = audio;
+            this.emit('audioToggled', audio);
+            this.socket.emit('media-state-change', { audio });
+        }
+
+        const videoTrack = this.localStream && this.localStream.getVideoTracks()[0];
+        if (videoTrack && this.isVideoEnabled && !this.can('video')) {
+            videoTrack.enabled = false;
+            this.isVideoEnabled = false;
+            this.emit('videoToggled', false);
+            this.socket.emit('media-state-change', { video: false });
+        }
+    }
+
     // Handle remote control commands
     handleRemoteControl(type, enable) {
+        // A moderator can't switch on what our role doesn't allow
+        if (enable && !this.can(type === 'video' ? 'video' : 'unmute')) {
+            return;
+        }
         if (type === 'video') {
             const videoTrack = this.localStream?.getVideoTracks()[0];
             if (videoTrack) {
@@ -764,7 +1355,54 @@ class WebRTCClient {
         }
     }
 
-    // Send remote control command (only room creator can use this)
+    // Hand host rights to another participant (only the host can use this)
+    transferHost(targetUserId) {
+        this.socket.emit('transfer-host', {
+            targetUserId: targetUserId
+        });
+    }
+
+    // Whether our current role grants a permission (the server enforces it either way)
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+
+    setParticipantRole(userId, role) {
+        if (role) {
+            this.participantRoles.set(userId, role);
+        }
+    }
+
+    // Change another participant's role (host and co-hosts only)
+    setRole(targetUserId, role) {
+        this.socket.emit('set-role', {
+            targetUserId: targetUserId,
+            role: role
+        });
+    }
+
+    // Admit or deny a guest waiting in the lobby (host and co-hosts only)
+    respondToLobbyRequest(userId, admit) {
+        this.socket.emit(admit ? 'lobby-admit' : 'lobby-deny', {
+            userId: userId
+        });
+    }
+
+    // Remove a participant; a ban also keeps them from rejoining (host and co-hosts only)
+    removeParticipant(targetUserId, ban = false) {
+        this.socket.emit(ban ? 'ban-participant' : 'kick-participant', {
+            targetUserId: targetUserId
+        });
+    }
+
+    // Stop or allow new participants joining (host and co-hosts only)
+    lockRoom(locked) {
+        this.socket.emit('lock-room', {
+            locked: locked
+        });
+    }
+
+    // Send remote control command (host and co-hosts only)
     sendRemoteControl(targetUserId, type, enable) {
         this.socket.emit(`remote-control-${type}`, {
             targetUserId: targetUserId,
@@ -0,0 +1,160 @@
+// Per-socket token-bucket rate limits for Socket.IO events
+
+const RATE_LIMITED = 'RATE_LIMITED';
+
+// Burst size and sustained rate per event; ICE candidates arrive in bursts
+// during negotiation, joins and moderation should be rare
+const EVENT_LIMITS = {
+    'join-room': { capacity: 5, refillPerSecond: 0.2 },
+    'resume-session': { capacity: 5, refillPerSecond: 0.2 },
+    'refresh-ice-servers': { capacity: 3, refillPerSecond: 0.05 },
+    'offer': { capacity: 30, refillPerSecond: 5 },
+    'answer': { capacity: 30, refillPerSecond: 5 },
+    'ice-candidate': { capacity: 200, refillPerSecond: 50 },
+    'sfu-answer': { capacity: 30, refillPerSecond: 5 },
+    'sfu-ice-candidate': { capacity: 200, refillPerSecond: 50 },
+    'secure-offer': { capacity: 30, refillPerSecond: 5 },
+    'secure-answer': { capacity: 30, refillPerSecond: 5 },
+    'secure-ice-candidate': { capacity: 200, refillPerSecond: 50 },
+    'encrypted-chat-message': { capacity: 10, refillPerSecond: 2 },
+    'media-state-change': { capacity: 10, refillPerSecond: 2 }
+};
+
+// Shared by all other events (moderation, screen share, ...)
+const DEFAULT_LIMIT = { capacity: 20, refillPerSecond: 2 };
+
+/**
+ * Classic token bucket: holds up to `capacity` tokens, refilled continuously
+ */
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        const elapsedSeconds = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take one token if available
+     * @returns {number} 0 if a token was taken, otherwise ms until one is available
+     */
+    take(now = Date.now()) {
+        const waitMs = this.wait(now);
+        if (waitMs === 0) {
+            this.tokens -= 1;
+        }
+        return waitMs;
+    }
+
+    /**
+     * Time until a token is available, without taking one
+     * @returns {number} 0 if one is available now, otherwise ms to wait
+     */
+    wait(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens >= 1) {
+            return 0;
+        }
+        return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+    }
+
+    /**
+     * Whether the bucket has refilled completely, i.e. nothing is being limited
+     * @returns {boolean} True when full
+     */
+    isFull(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+}
+
+/**
+ * Rate limiter for one socket, with a bucket per event name
+ */
+class SocketRateLimiter {
+    constructor(limits = EVENT_LIMITS) {
+        this.limits = limits;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Account for one incoming event
+     * @param {string} event - Event name
+     * @returns {number} 0 if allowed, otherwise ms until the event is allowed again
+     */
+    take(event) {
+        // Events without their own limit share one bucket, so made-up event
+        // names can't grow the map
+        const key = Object.hasOwn(this.limits, event) ? event : '*';
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            const { capacity, refillPerSecond } = key === '*' ? DEFAULT_LIMIT : this.limits[key];
+            bucket = new TokenBucket(capacity, refillPerSecond);
+            this.buckets.set(key, bucket);
+        }
+        return bucket.take();
+    }
+}
+
+/**
+ * Budget of failed attempts (e.g. wrong passwords) per key, such as a room or
+ * a client address. Every failure takes a token; a key without tokens left is
+ * turned away until its bucket refills.
+ */
+class FailureLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Failures allowed in a burst
+     * @param {number} options.refillPerSecond - Failures forgiven per second
+     * @param {number} options.maxKeys - Buckets kept before full ones are dropped
+     */
+    constructor({ capacity, refillPerSecond, maxKeys = 10000 }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.maxKeys = maxKeys;
+        this.buckets = new Map();
+    }
+
+    /**
+     * How long a key has to wait before its next attempt
+     * @param {string} key - Room ID, address, ...
+     * @returns {number} 0 if it may try now, otherwise ms to wait
+     */
+    retryAfter(key) {
+        const bucket = this.buckets.get(key);
+        return bucket ? bucket.wait() : 0;
+    }
+
+    /**
+     * Count a failed attempt against a key
+     * @param {string} key - Room ID, address, ...
+     */
+    recordFailure(key) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) {
+                this.buckets.forEach((candidate, candidateKey) => {
+                    if (candidate.isFull()) {
+                        this.buckets.delete(candidateKey);
+                    }
+                });
+            }
+            bucket = new TokenBucket(this.capacity, this.refillPerSecond);
+            this.buckets.set(key, bucket);
+        }
+        bucket.take();
+    }
+}
+
+module.exports = {
+    RATE_LIMITED,
+    TokenBucket,
+    SocketRateLimiter,
+    FailureLimiter
+};
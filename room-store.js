@@ -0,0 +1,707 @@
+const cluster = require('cluster');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { chainEntry } = require('./audit-log');
+const { inviteStatus } = require('./invites');
+
+const log = createLogger('room-store');
+
+// Store methods that can be called across processes by ClusterRoomStore
+const STORE_METHODS = [
+    'getRoom', 'putRoom', 'deleteRoom', 'listRooms',
+    'getRoomTombstone', 'putRoomTombstone', 'pruneRoomTombstones',
+    'getParticipant', 'listParticipants', 'putParticipant', 'addParticipantIfRoom', 'deleteParticipant',
+    'getRoomKeys', 'putRoomKeys',
+    'getUser', 'putUser', 'deleteUser',
+    'clearParticipants',
+    'listWebhooks', 'putWebhook', 'deleteWebhook',
+    'listWebhookDeliveries', 'putWebhookDelivery',
+    'listInvites', 'putInvite', 'redeemInvite', 'revokeInvite',
+    'appendChatMessage', 'listChatMessages',
+    'appendAuditEntry', 'listAuditEntries', 'listAuditLogs', 'deleteAuditLog'
+];
+
+// Delivery log entries kept per webhook subscription, oldest dropped first
+const WEBHOOK_DELIVERY_LOG_SIZE = 100;
+
+// Audit entries kept per room, oldest dropped first
+const AUDIT_LOG_MAX_ENTRIES = 5000;
+
+// Invites kept per room; past this, the oldest ones that can no longer be used are dropped
+const INVITES_PER_ROOM = 200;
+
+/**
+ * In-memory room store.
+ *
+ * Holds rooms, their participants, room key material and the socket -> room
+ * index used by the signaling handlers. Every method is async so that other
+ * backends (file, shared) can be swapped in without touching callers.
+ * Records are cloned on the way in and out so callers never rely on
+ * aliasing that a persistent backend could not provide.
+ */
+class MemoryRoomStore {
+    constructor() {
+        this.rooms = new Map();
+        this.participants = new Map(); // roomId -> Map(participantId -> record)
+        this.keys = new Map();
+        this.users = new Map();
+        this.webhooks = new Map();
+        this.webhookDeliveries = new Map(); // webhookId -> Map(deliveryId -> record)
+        this.invites = new Map(); // roomId -> Map(inviteId -> record)
+        this.chatMessages = new Map(); // roomId -> records in arrival order
+        this.auditLogs = new Map(); // roomId -> entries in order; kept after the room is deleted
+        this.tombstones = new Map(); // roomId -> { roomId, endedAt, reason } of retired room IDs
+    }
+
+    /**
+     * Get a room record
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object|null>} Room record or null if missing
+     */
+    async getRoom(roomId) {
+        return clone(this.rooms.get(roomId) || null);
+    }
+
+    /**
+     * Insert or replace a room record
+     * @param {Object} room - Room record, keyed by its `id`
+     */
+    async putRoom(room) {
+        this.rooms.set(room.id, clone(room));
+        await this.persist();
+    }
+
+    /**
+     * Delete a room together with its participants, key material, invites and chat history
+     * @param {string} roomId - Room ID
+     * @returns {Promise<boolean>} Whether the room existed
+     */
+    async deleteRoom(roomId) {
+        const existed = this.rooms.delete(roomId);
+        this.participants.delete(roomId);
+        this.keys.delete(roomId);
+        this.invites.delete(roomId);
+        this.chatMessages.delete(roomId);
+        await this.persist();
+        return existed;
+    }
+
+    /**
+     * List all room records
+     * @returns {Promise<Object[]>} Room records
+     */
+    async listRooms() {
+        return Array.from(this.rooms.values()).map(clone);
+    }
+
+    /**
+     * Get the tombstone of a room ID that must not be used again
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object|null>} Tombstone or null if the ID is not retired
+     */
+    async getRoomTombstone(roomId) {
+        return clone(this.tombstones.get(roomId) || null);
+    }
+
+    /**
+     * Retire a room ID
+     * @param {Object} tombstone - { roomId, endedAt, reason }
+     */
+    async putRoomTombstone(tombstone) {
+        this.tombstones.set(tombstone.roomId, clone(tombstone));
+        await this.persist();
+    }
+
+    /**
+     * Forget tombstones of rooms that ended before a point in time
+     * @param {Date} before - Cutoff
+     * @returns {Promise<number>} How many were dropped
+     */
+    async pruneRoomTombstones(before) {
+        const cutoff = new Date(before).getTime();
+        let dropped = 0;
+        this.tombstones.forEach((tombstone, roomId) => {
+            if (new Date(tombstone.endedAt).getTime() < cutoff) {
+                this.tombstones.delete(roomId);
+                dropped++;
+            }
+        });
+        if (dropped > 0) {
+            await this.persist();
+        }
+        return dropped;
+    }
+
+    /**
+     * Get a single participant of a room
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant (socket) ID
+     * @returns {Promise<Object|null>} Participant record or null if missing
+     */
+    async getParticipant(roomId, participantId) {
+        const participants = this.participants.get(roomId);
+        return clone((participants && participants.get(participantId)) || null);
+    }
+
+    /**
+     * List the participants of a room in join order
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object[]>} Participant records
+     */
+    async listParticipants(roomId) {
+        const participants = this.participants.get(roomId);
+        return participants ? Array.from(participants.values()).map(clone) : [];
+    }
+
+    /**
+     * Insert or replace a participant of a room
+     * @param {string} roomId - Room ID
+     * @param {Object} participant - Participant record, keyed by its `id`
+     */
+    async putParticipant(roomId, participant) {
+        if (!this.participants.has(roomId)) {
+            this.participants.set(roomId, new Map());
+        }
+        this.participants.get(roomId).set(participant.id, clone(participant));
+        await this.persist();
+    }
+
+    /**
+     * Add a participant to a room unless it is full. Counting and inserting
+     * happen in one step so concurrent joins can't overfill the room. Lobby
+     * guests don't take a seat, and a participant replacing their own record
+     * (a lobby guest being admitted) isn't counted against themselves.
+     * @param {string} roomId - Room ID
+     * @param {Object} participant - Participant record, keyed by its `id`
+     * @param {number|null} maxParticipants - Seats in the room, null for no limit
+     * @returns {Promise<boolean>} False if the room was full
+     */
+    async addParticipantIfRoom(roomId, participant, maxParticipants) {
+        const participants = this.participants.get(roomId);
+        if (participants && maxParticipants !== null) {
+            let seated = 0;
+            participants.forEach((other, id) => {
+                if (id !== participant.id && other.status !== 'pending') {
+                    seated++;
+                }
+            });
+            if (seated >= maxParticipants) {
+                return false;
+            }
+        }
+
+        await this.putParticipant(roomId, participant);
+        return true;
+    }
+
+    /**
+     * Remove a participant from a room
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant (socket) ID
+     */
+    async deleteParticipant(roomId, participantId) {
+        const participants = this.participants.get(roomId);
+        if (participants) {
+            participants.delete(participantId);
+            if (participants.size === 0) {
+                this.participants.delete(roomId);
+            }
+        }
+        await this.persist();
+    }
+
+    /**
+     * Get the key material of a room
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object|null>} Key material or null if missing
+     */
+    async getRoomKeys(roomId) {
+        return clone(this.keys.get(roomId) || null);
+    }
+
+    /**
+     * Store the key material of a room
+     * @param {string} roomId - Room ID
+     * @param {Object} keys - Key material ({ encryptionKey, salt })
+     */
+    async putRoomKeys(roomId, keys) {
+        this.keys.set(roomId, clone(keys));
+        await this.persist();
+    }
+
+    /**
+     * Look up which room a socket belongs to
+     * @param {string} socketId - Socket ID
+     * @returns {Promise<Object|null>} User record ({ roomId, userData }) or null
+     */
+    async getUser(socketId) {
+        return clone(this.users.get(socketId) || null);
+    }
+
+    /**
+     * Record which room a socket belongs to
+     * @param {string} socketId - Socket ID
+     * @param {Object} user - User record ({ roomId, userData })
+     */
+    async putUser(socketId, user) {
+        this.users.set(socketId, clone(user));
+    }
+
+    /**
+     * Forget a socket
+     * @param {string} socketId - Socket ID
+     */
+    async deleteUser(socketId) {
+        this.users.delete(socketId);
+    }
+
+    /**
+     * Drop every participant and user record while keeping rooms and keys.
+     * Used on startup, when no socket from a previous run can still be live.
+     */
+    async clearParticipants() {
+        this.participants.clear();
+        this.users.clear();
+        await this.persist();
+    }
+
+    /**
+     * List webhook subscriptions
+     * @returns {Promise<Object[]>} Subscription records
+     */
+    async listWebhooks() {
+        return Array.from(this.webhooks.values()).map(clone);
+    }
+
+    /**
+     * Insert or replace a webhook subscription
+     * @param {Object} webhook - Subscription record, keyed by its `id`
+     */
+    async putWebhook(webhook) {
+        this.webhooks.set(webhook.id, clone(webhook));
+        await this.persist();
+    }
+
+    /**
+     * Delete a webhook subscription together with its delivery log
+     * @param {string} webhookId - Subscription ID
+     * @returns {Promise<boolean>} Whether the subscription existed
+     */
+    async deleteWebhook(webhookId) {
+        const existed = this.webhooks.delete(webhookId);
+        this.webhookDeliveries.delete(webhookId);
+        await this.persist();
+        return existed;
+    }
+
+    /**
+     * List the most recent deliveries of a webhook subscription, newest first
+     * @param {string} webhookId - Subscription ID
+     * @returns {Promise<Object[]>} Delivery records
+     */
+    async listWebhookDeliveries(webhookId) {
+        const deliveries = this.webhookDeliveries.get(webhookId);
+        return deliveries ? Array.from(deliveries.values()).reverse().map(clone) : [];
+    }
+
+    /**
+     * Insert or update a delivery in a subscription's log. The log is not
+     * persisted and only keeps the latest WEBHOOK_DELIVERY_LOG_SIZE entries.
+     * @param {Object} delivery - Delivery record, keyed by its `id` and `webhookId`
+     */
+    async putWebhookDelivery(delivery) {
+        if (!this.webhookDeliveries.has(delivery.webhookId)) {
+            this.webhookDeliveries.set(delivery.webhookId, new Map());
+        }
+        const deliveries = this.webhookDeliveries.get(delivery.webhookId);
+        deliveries.set(delivery.id, clone(delivery));
+        if (deliveries.size > WEBHOOK_DELIVERY_LOG_SIZE) {
+            deliveries.delete(deliveries.keys().next().value);
+        }
+    }
+
+    /**
+     * List the invites of a room, oldest first
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object[]>} Invite records
+     */
+    async listInvites(roomId) {
+        const invites = this.invites.get(roomId);
+        return invites ? Array.from(invites.values()).map(clone) : [];
+    }
+
+    /**
+     * Insert or replace an invite
+     * @param {Object} invite - Invite record, keyed by its `id` and `roomId`
+     */
+    async putInvite(invite) {
+        if (!this.invites.has(invite.roomId)) {
+            this.invites.set(invite.roomId, new Map());
+        }
+        const invites = this.invites.get(invite.roomId);
+        invites.set(invite.id, clone(invite));
+        if (invites.size > INVITES_PER_ROOM) {
+            const now = new Date();
+            const dead = Array.from(invites.values()).filter(candidate => inviteStatus(candidate, now) !== 'active');
+            dead.slice(0, invites.size - INVITES_PER_ROOM).forEach(candidate => invites.delete(candidate.id));
+        }
+        await this.persist();
+    }
+
+    /**
+     * Use up one redemption of an invite if it is still valid. Checking and
+     * counting happen in one step so concurrent joins can't overrun maxUses.
+     * A session that redeemed the invite before is let in again for free.
+     * @param {string} roomId - Room ID
+     * @param {string} inviteId - Invite ID
+     * @param {string} sessionHash - Hashed session ID of the person joining
+     * @param {Date} now - Time of the redemption
+     * @returns {Promise<Object>} { redeemed, invite }; invite is null if missing
+     */
+    async redeemInvite(roomId, inviteId, sessionHash, now) {
+        const invites = this.invites.get(roomId);
+        const invite = invites && invites.get(inviteId);
+        if (!invite) {
+            return { redeemed: false, invite: null };
+        }
+
+        const live = !invite.revokedAt && new Date(invite.expiresAt) > now;
+        const returning = invite.sessions.includes(sessionHash);
+        const redeemed = live && (returning || invite.maxUses === null || invite.uses < invite.maxUses);
+        if (redeemed && !returning) {
+            invite.uses += 1;
+            invite.sessions.push(sessionHash);
+            await this.persist();
+        }
+        return { redeemed, invite: clone(invite) };
+    }
+
+    /**
+     * Mark an invite as revoked so it can no longer be redeemed
+     * @param {string} roomId - Room ID
+     * @param {string} inviteId - Invite ID
+     * @param {Date} now - Time of the revocation
+     * @returns {Promise<Object|null>} Updated invite or null if missing
+     */
+    async revokeInvite(roomId, inviteId, now) {
+        const invites = this.invites.get(roomId);
+        const invite = invites && invites.get(inviteId);
+        if (!invite) {
+            return null;
+        }
+
+        invite.revokedAt = invite.revokedAt || now;
+        await this.persist();
+        return clone(invite);
+    }
+
+    /**
+     * Add a message to a room's chat history, dropping messages beyond the
+     * caps. Like every other change, each append schedules a snapshot in a
+     * persistent store.
+     * @param {string} roomId - Room ID
+     * @param {Object} message - Message record with a `storedAt` Date
+     * @param {Object} limits - { maxMessages, maxAgeMs }
+     */
+    async appendChatMessage(roomId, message, { maxMessages, maxAgeMs }) {
+        const cutoff = message.storedAt.getTime() - maxAgeMs;
+        const messages = (this.chatMessages.get(roomId) || [])
+            .concat(clone(message))
+            .filter(candidate => new Date(candidate.storedAt).getTime() > cutoff);
+        this.chatMessages.set(roomId, messages.slice(-maxMessages));
+        await this.persist();
+    }
+
+    /**
+     * List a room's chat history, oldest first
+     * @param {string} roomId - Room ID
+     * @param {Date} since - Leave out messages stored before this time
+     * @returns {Promise<Object[]>} Message records
+     */
+    async listChatMessages(roomId, since) {
+        const messages = this.chatMessages.get(roomId) || [];
+        return messages.filter(message => new Date(message.storedAt) >= since).map(clone);
+    }
+
+    /**
+     * Append an event to a room's audit log. Chaining happens here, in the
+     * process that owns the store, so concurrent writers can't fork the chain.
+     * @param {string} roomId - Room ID
+     * @param {Object} event - { roomId, type, actorId, targetId, details }
+     * @returns {Promise<Object>} Chained entry
+     */
+    async appendAuditEntry(roomId, event) {
+        if (!this.auditLogs.has(roomId)) {
+            this.auditLogs.set(roomId, []);
+        }
+        const entries = this.auditLogs.get(roomId);
+        const entry = chainEntry(entries[entries.length - 1] || null, clone(event));
+        entries.push(entry);
+        if (entries.length > AUDIT_LOG_MAX_ENTRIES) {
+            entries.splice(0, entries.length - AUDIT_LOG_MAX_ENTRIES);
+        }
+        await this.persist();
+        return clone(entry);
+    }
+
+    /**
+     * List a room's audit log, oldest first
+     * @param {string} roomId - Room ID
+     * @returns {Promise<Object[]|null>} Entries or null if the room has no log
+     */
+    async listAuditEntries(roomId) {
+        const entries = this.auditLogs.get(roomId);
+        return entries ? entries.map(clone) : null;
+    }
+
+    /**
+     * Summaries of every audit log
+     * @returns {Promise<Object[]>} { roomId, entries, firstAt, lastAt }
+     */
+    async listAuditLogs() {
+        return Array.from(this.auditLogs, ([roomId, entries]) => ({
+            roomId,
+            entries: entries.length,
+            firstAt: entries[0].at,
+            lastAt: entries[entries.length - 1].at
+        }));
+    }
+
+    /**
+     * Delete a room's audit log
+     * @param {string} roomId - Room ID
+     * @returns {Promise<boolean>} Whether the log existed
+     */
+    async deleteAuditLog(roomId) {
+        const existed = this.auditLogs.delete(roomId);
+        await this.persist();
+        return existed;
+    }
+
+    // Hook for persistent subclasses; the memory store keeps nothing
+    async persist() {}
+}
+
+/**
+ * File-backed room store.
+ *
+ * Keeps the working set in memory and writes a JSON snapshot of rooms,
+ * participants, key material, invites, chat history, audit logs, webhook
+ * subscriptions and room tombstones after every change, so rooms survive a
+ * restart. Socket -> room lookups are not persisted since sockets never do.
+ */
+class FileRoomStore extends MemoryRoomStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+        this.nextWrite = null; // Write queued behind the one in flight
+        this.load();
+    }
+
+    // Load the snapshot written by a previous run, if any
+    load() {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Failed to load room store', { filePath: this.filePath, error });
+            }
+            return;
+        }
+
+        (snapshot.rooms || []).forEach(room => this.rooms.set(room.id, room));
+        Object.entries(snapshot.participants || {}).forEach(([roomId, participants]) => {
+            this.participants.set(roomId, new Map(participants.map(p => [p.id, p])));
+        });
+        Object.entries(snapshot.keys || {}).forEach(([roomId, keys]) => {
+            this.keys.set(roomId, keys);
+        });
+        Object.entries(snapshot.invites || {}).forEach(([roomId, invites]) => {
+            this.invites.set(roomId, new Map(invites.map(invite => [invite.id, invite])));
+        });
+        Object.entries(snapshot.chatMessages || {}).forEach(([roomId, messages]) => {
+            this.chatMessages.set(roomId, messages);
+        });
+        Object.entries(snapshot.auditLogs || {}).forEach(([roomId, entries]) => {
+            this.auditLogs.set(roomId, entries);
+        });
+        (snapshot.webhooks || []).forEach(webhook => this.webhooks.set(webhook.id, webhook));
+        (snapshot.tombstones || []).forEach(tombstone => this.tombstones.set(tombstone.roomId, tombstone));
+
+        log.info('Loaded room store', { filePath: this.filePath, rooms: this.rooms.size });
+    }
+
+    // Write the current state atomically (temp file + rename), one write at a
+    // time. Changes made while a write is in flight share the next one, which
+    // snapshots whatever the state is by the time it starts.
+    persist() {
+        if (!this.nextWrite) {
+            this.nextWrite = this.writeQueue.then(() => {
+                this.nextWrite = null;
+                return this.writeSnapshot();
+            });
+            this.writeQueue = this.nextWrite;
+        }
+        return this.nextWrite;
+    }
+
+    // Serialize everything that outlives sockets and replace the file with it
+    async writeSnapshot() {
+        const snapshot = JSON.stringify({
+            rooms: Array.from(this.rooms.values()),
+            participants: Object.fromEntries(
+                Array.from(this.participants, ([roomId, participants]) => [roomId, Array.from(participants.values())])
+            ),
+            keys: Object.fromEntries(this.keys),
+            invites: Object.fromEntries(
+                Array.from(this.invites, ([roomId, invites]) => [roomId, Array.from(invites.values())])
+            ),
+            chatMessages: Object.fromEntries(this.chatMessages),
+            auditLogs: Object.fromEntries(this.auditLogs),
+            webhooks: Array.from(this.webhooks.values()),
+            tombstones: Array.from(this.tombstones.values())
+        });
+
+        try {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+            await fs.promises.rename(tmpPath, this.filePath);
+        } catch (error) {
+            log.error('Failed to persist room store', { filePath: this.filePath, error });
+        }
+    }
+}
+
+/**
+ * Room store for cluster workers.
+ *
+ * Forwards every call over IPC to the primary process, which owns the real
+ * store (see serveRoomStore), so all workers share one view of rooms and
+ * participants.
+ */
+class ClusterRoomStore {
+    constructor() {
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        process.on('message', (message) => {
+            if (!message || message.type !== 'room-store:response') return;
+
+            const request = this.pending.get(message.requestId);
+            if (!request) return;
+
+            this.pending.delete(message.requestId);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+        });
+    }
+
+    call(method, args) {
+        return new Promise((resolve, reject) => {
+            const requestId = this.nextRequestId++;
+            this.pending.set(requestId, { resolve, reject });
+            process.send({ type: 'room-store:request', requestId, method, args });
+        });
+    }
+}
+
+STORE_METHODS.forEach(method => {
+    ClusterRoomStore.prototype[method] = function (...args) {
+        return this.call(method, args);
+    };
+});
+
+/**
+ * Serve a store to cluster workers (run in the primary process).
+ *
+ * Socket IDs registered by each worker are tracked so their participants can
+ * be dropped when that worker dies.
+ * @param {MemoryRoomStore} store - Backing store owned by the primary
+ */
+function serveRoomStore(store) {
+    const socketsByWorker = new Map();
+
+    cluster.on('message', async (worker, message) => {
+        if (!message || message.type !== 'room-store:request') return;
+
+        const { requestId, method, args } = message;
+        const response = { type: 'room-store:response', requestId };
+
+        try {
+            if (!STORE_METHODS.includes(method)) {
+                throw new Error(`Unknown room store method: ${method}`);
+            }
+            response.result = await store[method](...args);
+
+            if (!socketsByWorker.has(worker.id)) {
+                socketsByWorker.set(worker.id, new Set());
+            }
+            if (method === 'putUser') {
+                // A resumed session moves to whichever worker its new socket landed on
+                socketsByWorker.forEach(socketIds => socketIds.delete(args[0]));
+                socketsByWorker.get(worker.id).add(args[0]);
+            } else if (method === 'deleteUser') {
+                socketsByWorker.get(worker.id).delete(args[0]);
+            }
+        } catch (error) {
+            response.error = error.message;
+        }
+
+        if (worker.isConnected()) {
+            worker.send(response);
+        }
+    });
+
+    cluster.on('exit', async (worker) => {
+        const socketIds = socketsByWorker.get(worker.id) || new Set();
+        socketsByWorker.delete(worker.id);
+
+        for (const socketId of socketIds) {
+            const user = await store.getUser(socketId);
+            if (user) {
+                await store.deleteParticipant(user.roomId, socketId);
+            }
+            await store.deleteUser(socketId);
+        }
+
+        if (socketIds.size > 0) {
+            log.warn('Dropped participants of dead worker', { workerId: worker.id, participants: socketIds.size });
+        }
+    });
+}
+
+function clone(value) {
+    return value === null ? null : structuredClone(value);
+}
+
+/**
+ * Create the room store selected by configuration. Cluster workers always
+ * get a ClusterRoomStore talking to the primary.
+ * @param {Object} options - { type: 'memory' | 'file' | 'cluster', filePath }
+ * @returns {MemoryRoomStore|ClusterRoomStore} Room store instance
+ */
+function createRoomStore(options = {}) {
+    const type = options.type || (cluster.isWorker ? 'cluster' : process.env.ROOM_STORE) || 'memory';
+
+    switch (type) {
+        case 'cluster':
+            return new ClusterRoomStore();
+        case 'memory':
+            return new MemoryRoomStore();
+        case 'file':
+            return new FileRoomStore(
+                options.filePath || process.env.ROOM_STORE_PATH || path.join(__dirname, 'data', 'rooms.json')
+            );
+        default:
+            throw new Error(`Unknown room store type: ${type}`);
+    }
+}
+
+module.exports = { MemoryRoomStore, FileRoomStore, ClusterRoomStore, serveRoomStore, createRoomStore };
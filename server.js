@@ -1,3 +1,4 @@
+const cluster = require('cluster');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
@@ -5,10 +6,45 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
 const helmet = require('helmet');
+const { setupWorker } = require('@socket.io/sticky');
+const { createAdapter } = require('@socket.io/cluster-adapter');
 const CryptoUtils = require('./crypto-utils');
 const WebTransportServer = require('./webtransport-server');
+const { createRoomStore } = require('./room-store');
+const { buildRoomInvite } = require('./calendar');
+const { ERROR_CODES: PAYLOAD_ERRORS, validatePayload } = require('./event-schemas');
+const { RATE_LIMITED, SocketRateLimiter, FailureLimiter } = require('./rate-limit');
+const { WEBHOOK_EVENTS, WebhookDispatcher } = require('./webhooks');
+const {
+  INVITE_ERRORS,
+  DEFAULT_TTL_MINUTES: INVITE_DEFAULT_TTL_MINUTES,
+  MAX_TTL_MINUTES: INVITE_MAX_TTL_MINUTES,
+  MAX_ACTIVE_INVITES,
+  inviteStatus,
+  InviteManager
+} = require('./invites');
+const { DEFAULT_STUN_URLS, parseUrlList, IceServerConfig } = require('./ice-servers');
+const { createTurnServer } = require('./turn-server');
+const { createSfu } = require('./sfu');
+const { AUDIT_EVENTS, verifyChain, toCsv: auditLogToCsv, AuditLog } = require('./audit-log');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, MetricsRegistry } = require('./metrics');
+const { createLogger } = require('./logger');
+const { buildOpenApiDocument } = require('./openapi');
+const { version: API_VERSION } = require('./package.json');
+const {
+  ROLES,
+  PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  getPermissions,
+  hasPermission,
+  requiredPermission,
+  canModerate,
+  canAssignRole
+} = require('./permissions');
 require('dotenv').config();
 
+const log = createLogger('server');
+
 const app = express();
 
 // Create HTTP server (Render handles HTTPS automatically)
@@ -50,9 +86,17 @@ const io = socketIo(server, {
         methods: ["GET", "POST"],
         credentials: true
     },
-    transports: ['websocket', 'polling']
+    transports: ['websocket', 'polling'],
+    maxHttpBufferSize: 128 * 1024 // Largest event (an SDP offer) is capped well below this, see event-schemas.js
 });
 
+// In cluster mode (see cluster.js) the primary owns the port and hands us
+// connections; broadcasts to sockets on other workers go through the adapter
+if (cluster.isWorker) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+}
+
 // Fallback HTTP Socket.IO for development
 // Remove the httpIo initialization since we only have one server now
 // const httpIo = socketIo(httpServer, {
@@ -64,353 +108,2425 @@ const io = socketIo(server, {
 //     transports: ['websocket', 'polling']
 // });
 
-// Store active rooms and participants with encryption keys
-const rooms = new Map();
-const users = new Map();
-const roomKeys = new Map(); // Store room-specific encryption keys
+// Room state, participants and encryption keys live in a pluggable store
+// (in-memory by default, ROOM_STORE=file to survive restarts, shared through
+// the primary process in cluster mode)
+const roomStore = createRoomStore();
+
+// Error codes sent with join-room errors that clients act on
+const JOIN_ERRORS = {
+  PASSWORD_REQUIRED: 'ROOM_PASSWORD_REQUIRED',
+  PASSWORD_INVALID: 'ROOM_PASSWORD_INVALID',
+  PASSWORD_ATTEMPTS: 'ROOM_PASSWORD_ATTEMPTS_EXCEEDED',
+  BANNED: 'ROOM_BANNED',
+  LOCKED: 'ROOM_LOCKED',
+  FULL: 'ROOM_FULL',
+  NOT_STARTED: 'ROOM_NOT_STARTED',
+  ENDED: 'ROOM_ENDED',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  ALREADY_JOINED: 'ROOM_ALREADY_JOINED',
+  DRAINING: 'SERVER_DRAINING'
+};
+
+// What to tell people whose invite link can't be used
+const INVITE_MESSAGES = {
+  [INVITE_ERRORS.INVALID]: 'This invite link is not valid for this meeting',
+  [INVITE_ERRORS.EXPIRED]: 'This invite link has expired',
+  [INVITE_ERRORS.REVOKED]: 'This invite link has been revoked',
+  [INVITE_ERRORS.USED_UP]: 'This invite link has already been used'
+};
+
+// Error code for events the sender's role does not allow
+const FORBIDDEN = 'FORBIDDEN';
+
+// How long a disconnected host can reclaim the room before host rights move on
+const HOST_RECLAIM_GRACE_MS = parseInt(process.env.HOST_RECLAIM_GRACE_MS, 10) || 30000;
+
+// How long a dropped participant's slot is held for them to resume their session
+const SESSION_RESUME_GRACE_MS = parseInt(process.env.SESSION_RESUME_GRACE_MS, 10) || 20000;
+
+// Wrong room passwords allowed per minute from one address, and against one
+// room from everyone together, before further attempts are turned away
+const PASSWORD_ATTEMPTS_PER_ADDRESS = parseInt(process.env.PASSWORD_ATTEMPTS_PER_ADDRESS, 10) || 5;
+const PASSWORD_ATTEMPTS_PER_ROOM = parseInt(process.env.PASSWORD_ATTEMPTS_PER_ROOM, 10) || 20;
+const passwordFailuresByAddress = new FailureLimiter({
+  capacity: PASSWORD_ATTEMPTS_PER_ADDRESS,
+  refillPerSecond: PASSWORD_ATTEMPTS_PER_ADDRESS / 60
+});
+const passwordFailuresByRoom = new FailureLimiter({
+  capacity: PASSWORD_ATTEMPTS_PER_ROOM,
+  refillPerSecond: PASSWORD_ATTEMPTS_PER_ROOM / 60
+});
+
+// Room lifecycle: participant cap (rooms may ask for less), how long a room may
+// sit empty, how long a meeting may run at most, and how often expired rooms are swept
+const ROOM_MAX_PARTICIPANTS = parseInt(process.env.ROOM_MAX_PARTICIPANTS, 10) || 16;
+const ROOM_IDLE_TTL_MS = parseInt(process.env.ROOM_IDLE_TTL_MS, 10) || 10 * 60 * 1000;
+const ROOM_MAX_DURATION_MS = parseInt(process.env.ROOM_MAX_DURATION_MS, 10) || 4 * 60 * 60 * 1000;
+const ROOM_SWEEP_INTERVAL_MS = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// Encrypted chat kept per room for late joiners: at most this many messages,
+// none older than the age cap (0 messages turns history off)
+const CHAT_HISTORY_MAX_MESSAGES = parseInt(process.env.CHAT_HISTORY_MAX_MESSAGES, 10);
+const CHAT_HISTORY_LIMITS = {
+  maxMessages: Number.isNaN(CHAT_HISTORY_MAX_MESSAGES) ? 200 : CHAT_HISTORY_MAX_MESSAGES,
+  maxAgeMs: parseInt(process.env.CHAT_HISTORY_MAX_AGE_MS, 10) || 60 * 60 * 1000
+};
+
+// Base URL for links handed out of band (calendar invites); defaults to the request's host
+const PUBLIC_URL = process.env.PUBLIC_URL ? new URL(process.env.PUBLIC_URL).href.replace(/\/$/, '') : undefined;
+
+// Built-in STUN/TURN server (turn-server.js), enabled by BUILTIN_TURN_PORT. It
+// checks the credentials /api/ice-servers mints, so without TURN_SECRET a random
+// secret is used (cluster.js shares one with its workers). Only the process that
+// listens runs it; cluster workers just advertise it.
+const TURN_SECRET = process.env.TURN_SECRET ||
+  (process.env.BUILTIN_TURN_PORT ? cryptoUtils.generateKey().toString('hex') : undefined);
+const turnServer = createTurnServer({ secret: TURN_SECRET });
+
+// ICE servers for browsers. STUN_SERVER and TURN_SERVER take comma-separated
+// URLs; TURN needs either TURN_SECRET (coturn static-auth-secret, for short-lived
+// credentials) or a fixed TURN_USERNAME/TURN_PASSWORD. TURN credentials only go
+// to sockets in a room, which renew them before they expire. The built-in
+// server is added to both lists and replaces the default STUN servers.
+const iceServerConfig = new IceServerConfig({
+  stunUrls: process.env.STUN_SERVER === undefined
+    ? (turnServer ? turnServer.urls().stun : DEFAULT_STUN_URLS)
+    : [...parseUrlList(process.env.STUN_SERVER), ...(turnServer ? turnServer.urls().stun : [])],
+  turnUrls: [...parseUrlList(process.env.TURN_SERVER), ...(turnServer ? turnServer.urls().turn : [])],
+  turnSecret: TURN_SECRET,
+  turnUsername: process.env.TURN_USERNAME,
+  turnPassword: process.env.TURN_PASSWORD,
+  ttlSeconds: parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS, 10) || 60 * 60,
+  transportPolicy: process.env.ICE_TRANSPORT_POLICY || 'all'
+});
+
+// How rooms exchange media unless created with a mediaMode. 'auto' rooms start
+// as a mesh (every participant connects to every other) and move to the SFU
+// (everyone sends to sfu.js once, which forwards to the rest) when more than
+// MESH_MAX_PARTICIPANTS are in them, moving back once they are below it again;
+// 'mesh' and 'sfu' pin a room to one topology. The SFU runs in this process
+// only, so in cluster mode every room stays a mesh.
+const MEDIA_MODES = ['auto', 'mesh', 'sfu'];
+const ROOM_MEDIA_MODE = MEDIA_MODES.includes(process.env.ROOM_MEDIA_MODE) ? process.env.ROOM_MEDIA_MODE : 'auto';
+const MESH_MAX_PARTICIPANTS = parseInt(process.env.MESH_MAX_PARTICIPANTS, 10) || 4;
+const sfu = createSfu((participantId, event, payload) => io.to(participantId).emit(event, payload));
+
+// How long the SFU keeps forwarding after a room went back to mesh, while its
+// participants connect to each other
+const SFU_MIGRATION_GRACE_MS = parseInt(process.env.SFU_MIGRATION_GRACE_MS, 10) || 15000;
+
+// Bearer token for /api/admin; the admin API is disabled while unset
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Optional bearer token for GET /metrics and GET /api/stats; open when unset
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// How long a shutdown may wait for clients to move elsewhere before the process exits
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) || 20000;
+
+// Outgoing lifecycle webhooks: attempts per event (backoff doubles from the
+// base delay) and how long a receiver may take to answer
+const webhooks = new WebhookDispatcher(roomStore, cryptoUtils, {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000
+});
+
+// How long the ID of a room created over the API stays retired after the room
+// ended, so its links can't bring it back
+const ROOM_TOMBSTONE_TTL_MS = parseInt(process.env.ROOM_TOMBSTONE_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+// How long a closed room's audit log is kept after its last event
+const AUDIT_LOG_RETENTION_MS = parseInt(process.env.AUDIT_LOG_RETENTION_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+
+// Per-room audit trail of joins, departures, moderation and refused attempts
+const audit = new AuditLog(roomStore);
+
+// Key that signs invite links. Without INVITE_SECRET a random one is used, so
+// links stop working when the server restarts (cluster.js shares one with its workers).
+const invites = new InviteManager(
+  roomStore,
+  cryptoUtils,
+  process.env.INVITE_SECRET || cryptoUtils.generateKey().toString('hex')
+);
 
 class Room {
-  constructor(id, creatorId) {
+  constructor(id, creatorId, createdAt = new Date()) {
     this.id = id;
-    this.creatorId = creatorId; // Track who created the room
-    this.participants = new Map();
-    this.createdAt = new Date();
-    
-    // Generate room-specific encryption keys
-    this.encryptionKey = cryptoUtils.generateKey();
-    this.salt = cryptoUtils.generateSalt();
+    this.creatorId = creatorId; // Socket currently holding host rights
+    this.hostTokenHash = null; // Hash of the host token that (re)claims host rights
+    this.createdAt = createdAt;
+    this.passwordHash = null; // Salted PBKDF2 hash, null for open rooms
+    this.passwordSalt = null;
+    this.lobbyEnabled = false; // Guests wait for the creator to admit them
+    this.locked = false; // Nobody new may join, only the host can get back in
+    this.bannedSessions = []; // Hashed session IDs kept out for the room's lifetime
+    this.maxParticipants = ROOM_MAX_PARTICIPANTS;
+    this.emptySince = createdAt; // Set while nobody is in the room, drives the idle TTL
+    this.endsAt = new Date(createdAt.getTime() + ROOM_MAX_DURATION_MS); // Hard end of the meeting
+    this.title = null;
+    this.hostName = null; // Name the room's creator gave when creating it over the API
+    this.startsAt = null; // Scheduled start, null for rooms that are open right away
+    this.earlyJoinMinutes = 0; // How long before startsAt people may already join
+    this.mediaMode = ROOM_MEDIA_MODE; // 'auto', 'mesh' or 'sfu', see MEDIA_MODES
+    this.topology = 'mesh'; // How media flows right now: 'mesh' or 'sfu'
+    this.issued = false; // Created over the API: its ID is retired once the room is gone
+  }
+
+  // Create a room with fresh room-specific encryption keys and store it.
+  // The returned host token is only ever handed to the room's creator.
+  static async create(id, creatorId, options = {}) {
+    const room = new Room(id, creatorId);
+    if (options.password) {
+      await room.setPassword(options.password);
+    }
+    room.lobbyEnabled = Boolean(options.lobby);
+    if (options.maxParticipants) {
+      room.maxParticipants = options.maxParticipants;
+    }
+    room.title = options.title || null;
+    room.hostName = options.hostName || null;
+    if (options.mediaMode) {
+      room.mediaMode = options.mediaMode;
+    }
+    room.topology = room.targetTopology(0);
+    room.issued = Boolean(options.issued);
+    if (options.startsAt) {
+      room.startsAt = options.startsAt;
+      room.endsAt = options.endsAt;
+      room.earlyJoinMinutes = options.earlyJoinMinutes || 0;
+    }
+    const hostToken = room.issueHostToken();
+    await roomStore.putRoom(room.toRecord());
+    await roomStore.putRoomKeys(id, {
+      encryptionKey: cryptoUtils.generateKey().toString('hex'),
+      salt: cryptoUtils.generateSalt()
+    });
+    audit.record(id, AUDIT_EVENTS.ROOM_CREATED, { actorId: creatorId, details: { title: room.title } });
+    webhooks.dispatch('room.created', {
+      roomId: id,
+      title: room.title,
+      createdAt: room.createdAt,
+      startsAt: room.startsAt,
+      endsAt: room.endsAt
+    });
+    return { room, hostToken };
+  }
+
+  static async load(id) {
+    const record = await roomStore.getRoom(id);
+    return record ? Room.fromRecord(record) : null;
+  }
+
+  static fromRecord(record) {
+    const room = new Room(record.id, record.creatorId, new Date(record.createdAt));
+    room.hostTokenHash = record.hostTokenHash || null;
+    room.passwordHash = record.passwordHash || null;
+    room.passwordSalt = record.passwordSalt || null;
+    room.lobbyEnabled = Boolean(record.lobbyEnabled);
+    room.locked = Boolean(record.locked);
+    room.bannedSessions = record.bannedSessions || [];
+    room.maxParticipants = record.maxParticipants || ROOM_MAX_PARTICIPANTS;
+    room.emptySince = record.emptySince ? new Date(record.emptySince) : null;
+    if (record.endsAt) {
+      room.endsAt = new Date(record.endsAt);
+    }
+    room.title = record.title || null;
+    room.hostName = record.hostName || null;
+    room.startsAt = record.startsAt ? new Date(record.startsAt) : null;
+    room.earlyJoinMinutes = record.earlyJoinMinutes || 0;
+    room.mediaMode = record.mediaMode || ROOM_MEDIA_MODE;
+    room.topology = record.topology || (room.mediaMode === 'sfu' ? 'sfu' : 'mesh');
+    room.issued = Boolean(record.issued);
+    return room;
+  }
+
+  toRecord() {
+    return {
+      id: this.id,
+      creatorId: this.creatorId,
+      hostTokenHash: this.hostTokenHash,
+      createdAt: this.createdAt,
+      passwordHash: this.passwordHash,
+      passwordSalt: this.passwordSalt,
+      lobbyEnabled: this.lobbyEnabled,
+      locked: this.locked,
+      bannedSessions: this.bannedSessions,
+      maxParticipants: this.maxParticipants,
+      emptySince: this.emptySince,
+      endsAt: this.endsAt,
+      title: this.title,
+      hostName: this.hostName,
+      startsAt: this.startsAt,
+      earlyJoinMinutes: this.earlyJoinMinutes,
+      mediaMode: this.mediaMode,
+      topology: this.topology,
+      issued: this.issued
+    };
+  }
+
+  // Topology the room should have with this many participants. Automatic rooms
+  // only go back to mesh one participant below the threshold, so someone
+  // joining and leaving at the limit doesn't move everyone's media each time.
+  targetTopology(participantCount) {
+    if (cluster.isWorker || this.mediaMode === 'mesh') return 'mesh';
+    if (this.mediaMode === 'sfu') return 'sfu';
+    if (participantCount > MESH_MAX_PARTICIPANTS) return 'sfu';
+    if (participantCount < MESH_MAX_PARTICIPANTS) return 'mesh';
+    return this.topology;
+  }
+
+  // Earliest moment participants may join a scheduled room
+  get joinOpensAt() {
+    return this.startsAt && new Date(this.startsAt.getTime() - this.earlyJoinMinutes * 60 * 1000);
+  }
+
+  // Join error code if the room can't be joined at this moment, or null
+  joinWindowError(now = Date.now()) {
+    if (this.startsAt && now < this.joinOpensAt.getTime()) return JOIN_ERRORS.NOT_STARTED;
+    if (now >= this.endsAt.getTime()) return JOIN_ERRORS.ENDED;
+    return null;
+  }
+
+  async isFull() {
+    return (await this.getParticipantCount()) >= this.maxParticipants;
+  }
+
+  // Why the sweeper should close this room now, or null to keep it
+  expiryReason(now = Date.now()) {
+    if (now >= this.endsAt.getTime()) return 'max-duration';
+    // Scheduled rooms only start idling once their join window opens
+    const idleSince = this.emptySince && Math.max(this.emptySince.getTime(), this.joinOpensAt || 0);
+    if (idleSince && now - idleSince >= ROOM_IDLE_TTL_MS) return 'idle';
+    return null;
+  }
+
+  // Mint a new host token; any previously issued token stops working
+  issueHostToken() {
+    const hostToken = cryptoUtils.generateKey().toString('hex');
+    this.hostTokenHash = cryptoUtils.hash(hostToken);
+    return hostToken;
+  }
+
+  // Compared in constant time, like the admin token, for both join-room and the REST API
+  verifyHostToken(hostToken) {
+    if (!this.hostTokenHash || typeof hostToken !== 'string' || !hostToken) return false;
+    return cryptoUtils.safeEqual(cryptoUtils.hash(hostToken), this.hostTokenHash);
+  }
+
+  async setPassword(password) {
+    const { salt, hash } = await cryptoUtils.hashPassword(password);
+    this.passwordSalt = salt;
+    this.passwordHash = hash;
+  }
+
+  clearPassword() {
+    this.passwordSalt = null;
+    this.passwordHash = null;
   }
 
-  addParticipant(socketId, userData) {
-    this.participants.set(socketId, {
+  hasPassword() {
+    return Boolean(this.passwordHash);
+  }
+
+  async checkPassword(password) {
+    if (!this.hasPassword()) return true;
+    if (typeof password !== 'string' || !password) return false;
+    return cryptoUtils.verifyPassword(password, this.passwordSalt, this.passwordHash);
+  }
+
+  banSession(sessionId) {
+    const sessionHash = cryptoUtils.hash(sessionId);
+    if (!this.bannedSessions.includes(sessionHash)) {
+      this.bannedSessions.push(sessionHash);
+    }
+  }
+
+  isSessionBanned(sessionId) {
+    return this.bannedSessions.includes(cryptoUtils.hash(sessionId));
+  }
+
+  // Lobby guests can be banned while they wait, through another tab of the same session
+  isGuestBanned(guest) {
+    return this.bannedSessions.includes(guest.sessionHash);
+  }
+
+  async save() {
+    await roomStore.putRoom(this.toRecord());
+  }
+
+  // Resolves false if the room was already gone
+  async delete() {
+    return roomStore.deleteRoom(this.id);
+  }
+
+  // Take a seat in the room; false if it is full. Pass null as maxParticipants
+  // to take one regardless.
+  async addParticipant(socketId, userData, role = ROLES.ATTENDEE, maxParticipants = this.maxParticipants) {
+    return roomStore.addParticipantIfRoom(this.id, {
       id: socketId,
       ...userData,
+      role,
+      socketId, // Socket currently holding this slot; changes when the session is resumed
+      disconnectedAt: null,
       joinedAt: new Date(),
       keyPair: cryptoUtils.generateKeyPair() // Generate key pair for each participant
+    }, maxParticipants);
+  }
+
+  // Park a guest in the lobby until the creator admits or denies them
+  async addPendingParticipant(socketId, userData, sessionId) {
+    await roomStore.putParticipant(this.id, {
+      id: socketId,
+      status: 'pending',
+      userData,
+      sessionHash: cryptoUtils.hash(sessionId), // Checked against bans again on admission
+      requestedAt: new Date()
     });
   }
 
-  removeParticipant(socketId) {
-    this.participants.delete(socketId);
+  async removeParticipant(socketId) {
+    await roomStore.deleteParticipant(this.id, socketId);
+  }
+
+  // Mint the token that lets a participant resume their slot after a network drop
+  async issueResumeToken(participantId) {
+    const participant = await roomStore.getParticipant(this.id, participantId);
+    const resumeToken = cryptoUtils.generateKey().toString('hex');
+    participant.resumeTokenHash = cryptoUtils.hash(resumeToken);
+    await roomStore.putParticipant(this.id, participant);
+    return resumeToken;
+  }
+
+  // Hand a participant's slot to a new socket if the resume token matches
+  async resumeParticipant(participantId, resumeToken, socketId) {
+    const participant = await roomStore.getParticipant(this.id, participantId);
+    if (!participant || !participant.resumeTokenHash || typeof resumeToken !== 'string') return null;
+    if (cryptoUtils.hash(resumeToken) !== participant.resumeTokenHash) return null;
+
+    participant.socketId = socketId;
+    participant.disconnectedAt = null;
+    await roomStore.putParticipant(this.id, participant);
+    return participant;
+  }
+
+  // Hold a dropped participant's slot; false if another socket already took it over
+  async markDisconnected(participantId, socketId) {
+    const participant = await roomStore.getParticipant(this.id, participantId);
+    if (!participant || participant.socketId !== socketId) return false;
+
+    participant.disconnectedAt = new Date();
+    await roomStore.putParticipant(this.id, participant);
+    return true;
+  }
+
+  async getPendingParticipant(socketId) {
+    const participant = await roomStore.getParticipant(this.id, socketId);
+    return participant && participant.status === 'pending' ? participant : null;
+  }
+
+  async getPendingParticipants() {
+    const participants = await roomStore.listParticipants(this.id);
+    return participants.filter(participant => participant.status === 'pending');
+  }
+
+  // Participants who made it into the room (lobby guests excluded)
+  async getActiveParticipants() {
+    const participants = await roomStore.listParticipants(this.id);
+    return participants.filter(participant => participant.status !== 'pending');
   }
 
-  getParticipants() {
-    return Array.from(this.participants.values()).map(participant => ({
+  async getParticipants() {
+    const participants = await this.getActiveParticipants();
+    return participants.map(participant => ({
       id: participant.id,
       username: participant.username,
+      role: this.roleOf(participant),
       joinedAt: participant.joinedAt,
       publicKey: participant.keyPair.publicKey // Share public key for E2E encryption
     }));
   }
 
-  getParticipantKeyPair(socketId) {
-    const participant = this.participants.get(socketId);
-    return participant ? participant.keyPair : null;
+  // The host role follows host rights; everyone else keeps their assigned role
+  roleOf(participant) {
+    return participant.id === this.creatorId ? ROLES.HOST : participant.role || ROLES.ATTENDEE;
   }
 
-  isEmpty() {
-    return this.participants.size === 0;
+  // Role of an admitted participant, or null for lobby guests and strangers
+  async getRole(socketId) {
+    const participant = await roomStore.getParticipant(this.id, socketId);
+    return participant && participant.status !== 'pending' ? this.roleOf(participant) : null;
   }
 
-  getRoomKeys() {
-    return {
-      encryptionKey: this.encryptionKey.toString('hex'),
-      salt: this.salt
-    };
+  async setParticipantRole(socketId, role) {
+    const participant = await roomStore.getParticipant(this.id, socketId);
+    if (participant) {
+      participant.role = role;
+      await roomStore.putParticipant(this.id, participant);
+    }
   }
-}
-
-// WebRTC signaling handlers
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
 
-  // Join room
-  socket.on('join-room', (data) => {
-    const { roomId, userData, isCreator } = data;
-    
-    if (!roomId) {
-      socket.emit('error', { message: 'Room ID is required' });
-      return;
-    }
+  // Participants allowed to admit lobby guests (host and co-hosts)
+  async getModeratorIds() {
+    const participants = await this.getActiveParticipants();
+    return participants
+      .filter(participant => hasPermission(this.roleOf(participant), PERMISSIONS.MANAGE_LOBBY))
+      .map(participant => participant.id);
+  }
 
-    // Create room if it doesn't exist
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, new Room(roomId, socket.id));
-    }
+  async getParticipantCount() {
+    return (await this.getActiveParticipants()).length;
+  }
 
-    const room = rooms.get(roomId);
-    room.addParticipant(socket.id, userData);
-    users.set(socket.id, { roomId, userData });
+  async getParticipantKeyPair(socketId) {
+    const participant = await roomStore.getParticipant(this.id, socketId);
+    return participant ? participant.keyPair : null;
+  }
 
-    socket.join(roomId);
+  async getRoomKeys() {
+    return roomStore.getRoomKeys(this.id);
+  }
+}
 
-    // Send room encryption keys to the new participant
-    const participantKeyPair = room.getParticipantKeyPair(socket.id);
-    socket.emit('room-keys', {
-      roomKeys: room.getRoomKeys(),
-      yourKeyPair: {
-        publicKey: participantKeyPair.publicKey,
-        privateKey: participantKeyPair.privateKey
-      }
-    });
+// Name a participant chose when joining (clients send name, older ones username)
+function displayName(userData) {
+  return (userData && (userData.name || userData.username)) || null;
+}
 
-    // Notify existing participants about new user
-    socket.to(roomId).emit('user-joined', {
-      userId: socket.id,
-      userData
-    });
+// Bring a socket into a room: keys, peer discovery and notifications.
+// Goes through io rather than the socket so the host can admit lobby guests
+// connected to another cluster worker. Resolves false, having done nothing,
+// if the room filled up in the meantime.
+async function admitParticipant(room, socketId, userData, initialRole, maxParticipants = room.maxParticipants) {
+  if (!(await room.addParticipant(socketId, userData, initialRole, maxParticipants))) {
+    return false;
+  }
+  await roomStore.putUser(socketId, { roomId: room.id, userData });
+  await updateTopology(room, socketId);
+  io.to(socketId).emit('session', {
+    roomId: room.id,
+    participantId: socketId,
+    resumeToken: await room.issueResumeToken(socketId)
+  });
+  if (room.emptySince) {
+    room.emptySince = null;
+    await room.save();
+  }
 
-    // Send existing participants to new user
-    const existingParticipants = room.getParticipants().filter(p => p.id !== socket.id);
-    socket.emit('existing-participants', existingParticipants);
+  io.in(socketId).socketsJoin(room.id);
 
-    console.log(`User ${socket.id} joined room ${roomId}`);
-  });
+  // Tell the client how to connect its media before it hears about anyone
+  io.to(socketId).emit('ice-servers', iceServerConfig.forClient(socketId));
+  io.to(socketId).emit('media-mode', { mode: room.topology });
 
-  // WebRTC signaling
-  socket.on('offer', (data) => {
-    const { targetUserId, offer } = data;
-    socket.to(targetUserId).emit('offer', {
-      fromUserId: socket.id,
-      offer
-    });
+  // Send room encryption keys to the new participant
+  const participantKeyPair = await room.getParticipantKeyPair(socketId);
+  io.to(socketId).emit('room-keys', {
+    roomKeys: await room.getRoomKeys(),
+    yourKeyPair: {
+      publicKey: participantKeyPair.publicKey,
+      privateKey: participantKeyPair.privateKey
+    }
   });
 
-  socket.on('answer', (data) => {
-    const { targetUserId, answer } = data;
-    socket.to(targetUserId).emit('answer', {
-      fromUserId: socket.id,
-      answer
-    });
+  // Notify existing participants about new user
+  const role = await room.getRole(socketId);
+  io.to(room.id).except(socketId).emit('user-joined', {
+    userId: socketId,
+    userData,
+    role
   });
 
-  socket.on('ice-candidate', (data) => {
-    const { targetUserId, candidate } = data;
-    socket.to(targetUserId).emit('ice-candidate', {
-      fromUserId: socket.id,
-      candidate
-    });
-  });
+  // Send existing participants to new user
+  const existingParticipants = (await room.getParticipants()).filter(p => p.id !== socketId);
+  io.to(socketId).emit('existing-participants', existingParticipants);
 
-  // Handle encrypted chat messages
-  socket.on('encrypted-chat-message', (data) => {
-    const user = users.get(socket.id);
-    if (user && rooms.has(user.roomId)) {
-      const { encryptedMessage, iv, tag, timestamp } = data;
-      
-      // Broadcast encrypted message to all participants in the room
-      socket.to(user.roomId).emit('encrypted-chat-message', {
-        senderId: socket.id,
-        senderName: user.userData.username,
-        encryptedMessage,
-        iv,
-        tag,
-        timestamp: timestamp || new Date().toISOString()
-      });
-    }
-  });
+  // Tell the new participant who hosts the room and what they may do
+  io.to(socketId).emit('host-changed', { hostId: room.creatorId, previousHostId: null, reason: 'joined' });
+  io.to(socketId).emit('role-changed', { userId: socketId, role, permissions: getPermissions(role) });
+  io.to(socketId).emit('room-locked', { locked: room.locked });
 
-  // Handle secure signaling for WebRTC
-  socket.on('secure-offer', (data) => {
-    const { targetId, encryptedOffer, iv, tag } = data;
-    socket.to(targetId).emit('secure-offer', {
-      senderId: socket.id,
-      encryptedOffer,
-      iv,
-      tag
-    });
-  });
+  // Moderators catch up on guests who knocked while they were away
+  if (hasPermission(role, PERMISSIONS.MANAGE_LOBBY)) {
+    await sendLobbyRequests(room, [socketId]);
+  }
 
-  socket.on('secure-answer', (data) => {
-    const { targetId, encryptedAnswer, iv, tag } = data;
-    socket.to(targetId).emit('secure-answer', {
-      senderId: socket.id,
-      encryptedAnswer,
-      iv,
-      tag
-    });
-  });
+  await sendChatHistory(room, socketId);
 
-  socket.on('secure-ice-candidate', (data) => {
-    const { targetId, encryptedCandidate, iv, tag } = data;
-    socket.to(targetId).emit('secure-ice-candidate', {
-      senderId: socket.id,
-      encryptedCandidate,
-      iv,
-      tag
-    });
-  });
+  if (room.topology === 'sfu') {
+    sfu.join(room.id, socketId);
+  }
 
-  // Media state changes
-  socket.on('media-state-change', (data) => {
-    const user = users.get(socket.id);
-    if (user) {
-      const { roomId } = user;
-      socket.to(roomId).emit('media-state-change', {
-        userId: socket.id,
-        ...data
-      });
-    }
+  audit.record(room.id, AUDIT_EVENTS.PARTICIPANT_JOINED, {
+    actorId: socketId,
+    details: { name: displayName(userData), role }
   });
-
-  // Remote control events for elderly assistance
-  socket.on('remote-control-video', (data) => {
-    const user = users.get(socket.id);
-    if (user) {
-      const room = rooms.get(user.roomId);
-      // Only allow room creator to control others
-      if (room && room.creatorId === socket.id) {
-        const { targetUserId, enable } = data;
-        socket.to(targetUserId).emit('remote-control-video', {
-          fromUserId: socket.id,
-          enable: enable
-        });
-        console.log(`Room creator ${socket.id} ${enable ? 'enabled' : 'disabled'} video for ${targetUserId}`);
-      } else {
-        socket.emit('error', { message: 'Only room creator can control participants' });
-      }
-    }
+  webhooks.dispatch('participant.joined', {
+    roomId: room.id,
+    participantId: socketId,
+    name: displayName(userData),
+    role
   });
+  log.info('Participant joined', { roomId: room.id, participantId: socketId, role });
+  return true;
+}
 
-  socket.on('remote-control-audio', (data) => {
-    const user = users.get(socket.id);
-    if (user) {
-      const room = rooms.get(user.roomId);
-      // Only allow room creator to control others
-      if (room && room.creatorId === socket.id) {
-        const { targetUserId, enable } = data;
-        socket.to(targetUserId).emit('remote-control-audio', {
-          fromUserId: socket.id,
-          enable: enable
-        });
-        console.log(`Room creator ${socket.id} ${enable ? 'enabled' : 'disabled'} audio for ${targetUserId}`);
-      } else {
-        socket.emit('error', { message: 'Only room creator can control participants' });
-      }
-    }
-  });
+// Pending SFU shutdowns of rooms that went back to mesh, by room ID
+const sfuTeardowns = new Map();
 
-  socket.on('screen-share-stop', () => {
-    const user = users.get(socket.id);
-    if (user) {
-      const { roomId } = user;
-      socket.to(roomId).emit('screen-share-stop', {
-        userId: socket.id
-      });
-    }
-  });
+// Move an automatic room between mesh and the SFU after its participant count
+// changed. Everyone already in the room is told to migrate (with who to connect
+// to directly when going back to mesh); newcomerId, still being admitted, is
+// connected the new way from the start.
+async function updateTopology(room, newcomerId = null) {
+  const participants = await room.getActiveParticipants();
+  const topology = room.targetTopology(participants.length);
+  if (topology === room.topology) return;
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    const user = users.get(socket.id);
-    if (user) {
-      const { roomId } = user;
-      const room = rooms.get(roomId);
-      
-      if (room) {
-        room.removeParticipant(socket.id);
-        
-        // Notify other participants
-        socket.to(roomId).emit('user-left', {
-          userId: socket.id
-        });
+  room.topology = topology;
+  await room.save();
 
-        // Clean up empty rooms
-        if (room.isEmpty()) {
-          rooms.delete(roomId);
-          console.log(`Room ${roomId} deleted (empty)`);
-        }
-      }
-    }
-    
-    users.delete(socket.id);
-    console.log(`User disconnected: ${socket.id}`);
-  });
-});
+  const participantIds = participants.map(participant => participant.id).filter(id => id !== newcomerId);
+  if (participantIds.length > 0) {
+    io.to(participantIds).emit('media-mode', { mode: topology, participants: participantIds });
+  }
 
-// REST API endpoints
-app.get('/api/rooms/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  const room = rooms.get(roomId);
-  
-  if (!room) {
-    return res.status(404).json({ error: 'Room not found' });
+  clearTimeout(sfuTeardowns.get(room.id));
+  sfuTeardowns.delete(room.id);
+  if (topology === 'sfu') {
+    participantIds.forEach(id => sfu.join(room.id, id));
+  } else {
+    // Keep forwarding until clients are connected to each other, so nobody drops out meanwhile
+    sfuTeardowns.set(room.id, setTimeout(() => {
+      sfuTeardowns.delete(room.id);
+      sfu.closeRoom(room.id);
+    }, SFU_MIGRATION_GRACE_MS));
   }
 
-  res.json({
-    id: room.id,
-    participantCount: room.participants.size,
-    createdAt: room.createdAt
-  });
-});
+  topologySwitches.inc({ topology });
+  log.info('Room switched media topology', { roomId: room.id, topology, participants: participants.length });
+}
 
-app.post('/api/rooms', (req, res) => {
-  const roomId = uuidv4();
-  const room = new Room(roomId);
-  rooms.set(roomId, room);
-  
-  res.json({
-    roomId,
-    createdAt: room.createdAt
+// Replay the chat backlog to someone who just joined. The server only ever
+// holds ciphertext; the room key sent with room-keys decrypts it.
+async function sendChatHistory(room, socketId) {
+  if (CHAT_HISTORY_LIMITS.maxMessages <= 0) return;
+
+  const since = new Date(Date.now() - CHAT_HISTORY_LIMITS.maxAgeMs);
+  const messages = await roomStore.listChatMessages(room.id, since);
+  io.to(socketId).emit('chat-history', {
+    roomId: room.id,
+    messages: messages.map(({ storedAt, ...message }) => message)
   });
-});
+}
 
-// Alternative endpoint for create-room (used by Vue.js frontend)
-app.post('/api/create-room', (req, res) => {
-  const { username } = req.body;
-  const roomId = uuidv4();
-  const room = new Room(roomId);
-  rooms.set(roomId, room);
-  
-  res.json({
-    success: true,
-    roomId,
-    createdAt: room.createdAt,
-    message: 'Room created successfully'
+async function sendLobbyRequests(room, moderatorIds) {
+  const pending = await room.getPendingParticipants();
+  if (pending.length === 0 || moderatorIds.length === 0) return;
+
+  pending.forEach(guest => {
+    io.to(moderatorIds).emit('lobby-request', { userId: guest.id, userData: guest.userData });
   });
-});
+}
 
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Take a participant out of the room on a moderator's behalf (kick or ban).
+// The removed socket stays connected so it can show why it was removed.
+async function removeParticipant(room, participantId, reason, byUserId) {
+  await room.removeParticipant(participantId);
+  await roomStore.deleteUser(participantId);
+  sfu.leave(room.id, participantId);
 
-app.get('/room/:roomId', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'room.html'));
-});
+  io.to(participantId).emit('removed', { roomId: room.id, reason, byUserId });
+  io.in(participantId).socketsLeave(room.id);
+  io.to(room.id).emit('user-left', { userId: participantId });
 
-// Handle 404 errors properly - serve index.html for SPA routing
-app.use((req, res, next) => {
-  // If it's an API request, let it 404 normally
-  if (req.path.startsWith('/api/')) {
-    return next();
+  audit.record(room.id, AUDIT_EVENTS.PARTICIPANT_REMOVED, { actorId: byUserId, targetId: participantId, details: { reason } });
+  webhooks.dispatch('participant.left', { roomId: room.id, participantId, reason, byUserId });
+  log.info('Participant removed', { roomId: room.id, participantId, reason, byUserId });
+  await updateTopology(room);
+  await markIfEmptied(room);
+}
+
+// Empty rooms stay around for the idle TTL so people can come back;
+// start that clock when the last participant is gone
+async function markIfEmptied(room) {
+  if (room.emptySince || (await room.getParticipantCount()) > 0) return;
+
+  room.emptySince = new Date();
+  await room.save();
+  webhooks.dispatch('room.emptied', { roomId: room.id, emptySince: room.emptySince });
+  log.info('Room is empty', { roomId: room.id, idleTtlMs: ROOM_IDLE_TTL_MS });
+}
+
+// Close a room for good: everyone still in it (lobby guests included) is told why.
+// Only the process whose delete actually removed the room sends notifications, so
+// cluster workers sweeping at the same time don't double up.
+async function expireRoom(room, reason) {
+  const participantIds = (await roomStore.listParticipants(room.id)).map(participant => participant.id);
+  if (!(await room.delete())) return;
+  if (room.issued) {
+    await roomStore.putRoomTombstone({ roomId: room.id, endedAt: new Date(), reason });
   }
-  // For all other requests, serve index.html
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
+  clearTimeout(sfuTeardowns.get(room.id));
+  sfuTeardowns.delete(room.id);
+  sfu.closeRoom(room.id);
+  if (participantIds.length > 0) {
+    io.to(participantIds).emit('room-expired', { roomId: room.id, reason });
+    io.in(participantIds).socketsLeave(room.id);
+    await Promise.all(participantIds.map(id => roomStore.deleteUser(id)));
+  }
 
-// Start WebTransport server
-webTransportServer.start().catch(console.error);
-
-// Start the server (Render will handle HTTPS automatically)
-server.listen(PORT, HOST, () => {
-  console.log(`🚀 WebRTC Server running on http://${HOST}:${PORT}`);
-  console.log(`📹 Video conferencing with WebTransport (QUIC) support enabled`);
-  console.log(`🔐 End-to-end encryption active`);
-  console.log(`🌐 WebTransport server running on port 3001`);
-  console.log(`🌐 Ready for Render deployment`);
-});
+  audit.record(room.id, AUDIT_EVENTS.ROOM_CLOSED, { details: { reason, notified: participantIds.length } });
+  webhooks.dispatch('room.deleted', { roomId: room.id, reason });
+  log.info('Room expired', { roomId: room.id, reason, notified: participantIds.length });
+}
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+// Periodic sweep for rooms past their idle TTL or maximum duration
+async function sweepRooms() {
+  const now = Date.now();
+  for (const record of await roomStore.listRooms()) {
+    const room = Room.fromRecord(record);
+
+    // Catch rooms that lost their participants without a disconnect (e.g. a restart)
+    if (room.emptySince && (await room.getParticipantCount()) > 0) {
+      room.emptySince = null;
+      await room.save();
+    } else {
+      await markIfEmptied(room);
+    }
+
+    const reason = room.expiryReason(now);
+    if (reason) {
+      await expireRoom(room, reason);
+    }
+  }
+
+  await roomStore.pruneRoomTombstones(new Date(now - ROOM_TOMBSTONE_TTL_MS));
+
+  const droppedLogs = await audit.prune(AUDIT_LOG_RETENTION_MS);
+  if (droppedLogs > 0) {
+    log.info('Dropped expired audit logs', { count: droppedLogs });
+  }
+}
+
+function startRoomSweeper() {
+  setInterval(() => {
+    sweepRooms().catch(error => {
+      serverErrors.inc({ operation: 'room-sweep' });
+      log.error('Room sweep failed', error);
+    });
+  }, ROOM_SWEEP_INTERVAL_MS).unref();
+}
+
+function isSessionId(sessionId) {
+  return typeof sessionId === 'string' && sessionId.length > 0 && sessionId.length <= 128;
+}
+
+// Keep a participant's browser session out of the room for the room's lifetime
+async function banParticipant(room, participantId) {
+  const [target] = await io.in(participantId).fetchSockets();
+  room.banSession((target && target.data.sessionId) || participantId);
+  await room.save();
+}
+
+// Tell the whole room about a participant's (new) role
+async function announceRole(room, participantId) {
+  const role = await room.getRole(participantId);
+  if (role) {
+    io.to(room.id).emit('role-changed', { userId: participantId, role, permissions: getPermissions(role) });
+  }
+}
+
+// Hand host rights to another participant. The host token is rotated so only
+// the new host can reclaim the room after a reconnect.
+async function transferHost(room, newHostId, reason) {
+  const previousHostId = room.creatorId;
+  const hostToken = room.issueHostToken();
+  room.creatorId = newHostId;
+  await room.save();
+
+  io.to(newHostId).emit('host-token', { roomId: room.id, hostToken });
+  io.to(room.id).emit('host-changed', { hostId: newHostId, previousHostId, reason });
+  audit.record(room.id, AUDIT_EVENTS.HOST_CHANGED, { actorId: previousHostId, targetId: newHostId, details: { reason } });
+  webhooks.dispatch('host.changed', { roomId: room.id, hostId: newHostId, previousHostId, reason });
+  await announceRole(room, newHostId);
+  if (previousHostId) {
+    await announceRole(room, previousHostId);
+  }
+  await sendLobbyRequests(room, [newHostId]);
+
+  log.info('Host changed', { roomId: room.id, hostId: newHostId, previousHostId, reason });
+}
+
+// Give a disconnected host time to reconnect with their host token, then
+// pass host rights to the longest-present participant
+function scheduleHostHandover(roomId, leftHostId) {
+  setTimeout(() => {
+    handOverHost(roomId, leftHostId).catch(error => {
+      serverErrors.inc({ operation: 'host-handover' });
+      log.error('Host handover failed', { roomId, error });
+    });
+  }, HOST_RECLAIM_GRACE_MS);
+}
+
+async function handOverHost(roomId, leftHostId) {
+  const room = await Room.load(roomId);
+  if (!room || room.creatorId !== leftHostId) return; // Room gone or host reclaimed
+
+  const participants = await room.getActiveParticipants();
+  const nextHost = participants.find(participant => !participant.disconnectedAt);
+  if (nextHost) {
+    await transferHost(room, nextHost.id, 'host-left');
+  }
+}
+
+// Metrics for GET /metrics. Counters and connection gauges are per process;
+// room and participant gauges read the (shared) room store.
+const metrics = new MetricsRegistry('quic_rtc_');
+
+metrics.gauge('rooms', 'Rooms that currently exist', async () => (await roomStore.listRooms()).length);
+metrics.gauge('participants', 'Participants in all rooms, by status', async () => {
+  const counts = { active: 0, reconnecting: 0, waiting: 0 };
+  for (const room of await roomStore.listRooms()) {
+    (await roomStore.listParticipants(room.id)).forEach(participant => {
+      if (participant.status === 'pending') counts.waiting++;
+      else if (participant.disconnectedAt) counts.reconnecting++;
+      else counts.active++;
+    });
+  }
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+metrics.gauge('socketio_connections', 'Socket.IO connections open on this process', () => io.engine.clientsCount);
+metrics.gauge('webtransport_connections', 'WebTransport connections open on this process',
+  () => webTransportServer.getConnectionCount());
+metrics.gauge('sfu_peer_connections', 'Peer connections the SFU holds with participants on this process',
+  () => sfu.getPeerCount());
+const signalingRelayed = metrics.counter('signaling_messages_relayed_total',
+  'Signaling messages relayed to a peer, by event', ['type']);
+// Relays dropped because sender and target don't share a room
+const signalingRejected = metrics.counter('signaling_messages_rejected_total',
+  'Signaling messages dropped because the target is not in the sender\'s room, by event', ['type']);
+const topologySwitches = metrics.counter('media_topology_switches_total',
+  'Automatic room moves between mesh and the SFU, by new topology', ['topology']);
+const chatMessages = metrics.counter('chat_messages_total', 'Chat messages broadcast to rooms');
+const clientErrors = metrics.counter('client_errors_total', 'Errors sent to clients, by code', ['code']);
+const serverErrors = metrics.counter('server_errors_total', 'Failures caught on the server, by operation', ['operation']);
+const socketEventDuration = metrics.histogram('socket_event_duration_seconds',
+  'Time the server took to handle Socket.IO events, by event', ['event']);
+metrics.eventLoopLag('event_loop_lag_seconds');
+
+// A dropped participant didn't resume in time: free their slot for good
+function scheduleDeparture(roomId, participantId, socketId) {
+  setTimeout(() => {
+    departParticipant(roomId, participantId, socketId).catch(error => {
+      serverErrors.inc({ operation: 'departure' });
+      log.error('Removing a departed participant failed', { roomId, participantId, error });
+    });
+  }, SESSION_RESUME_GRACE_MS);
+}
+
+async function departParticipant(roomId, participantId, socketId) {
+  const room = await Room.load(roomId);
+  const participant = room && (await roomStore.getParticipant(roomId, participantId));
+  if (!participant || participant.socketId !== socketId) return; // Gone, or resumed
+
+  await room.removeParticipant(participantId);
+  await roomStore.deleteUser(participantId);
+  sfu.leave(roomId, participantId);
+  io.to(roomId).emit('user-left', { userId: participantId });
+  audit.record(roomId, AUDIT_EVENTS.PARTICIPANT_LEFT, { actorId: participantId, details: { reason: 'left' } });
+  webhooks.dispatch('participant.left', { roomId, participantId, reason: 'left', byUserId: null });
+  log.info('Participant left, session not resumed', { roomId, participantId });
+
+  if (room.creatorId === participantId) {
+    scheduleHostHandover(roomId, participantId);
+  }
+  await updateTopology(room);
+  await markIfEmptied(room);
+}
+
+// Readiness: set once the server accepts connections; draining starts on SIGTERM/SIGINT
+let ready = false;
+let draining = false;
+
+// Spread reconnects after a shutdown notice over a few seconds, well inside the drain deadline
+function reconnectDelayHint() {
+  return Math.floor(Math.random() * Math.min(5000, SHUTDOWN_DRAIN_MS / 2));
+}
+
+// WebRTC signaling handlers
+io.on('connection', (socket) => {
+  const socketLog = log.child({ socketId: socket.id });
+  socketLog.info('Socket connected');
+
+  // Participant identity of this socket; a resumed session takes over the old one
+  let userId = socket.id;
+
+  // Room membership of this socket; guests still waiting in the lobby don't count
+  async function getJoinedUser() {
+    const user = await roomStore.getUser(userId);
+    return user && !user.pending ? user : null;
+  }
+
+  // Lobby guest of this socket's room, or null; the permission check already ran
+  async function getLobbyGuest(userId) {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    const guest = room && (await room.getPendingParticipant(userId));
+    return guest ? { room, guest } : null;
+  }
+
+  // Register an event handler whose failures (e.g. the room store being
+  // unreachable) are answered with an error instead of crashing the process
+  function handle(event, handler) {
+    socket.on(event, async (...args) => {
+      const stopTimer = socketEventDuration.startTimer({ event });
+      try {
+        await handler(...args);
+      } catch (error) {
+        serverErrors.inc({ operation: event });
+        socketLog.error('Socket event failed', { participantId: userId, event, error });
+        socket.emit('error', { code: 'INTERNAL', event, message: 'Request failed' });
+      } finally {
+        stopTimer();
+      }
+    });
+  }
+
+  // Relays (SDP, ICE, remote control) only go to admitted participants of the
+  // sender's own room, so one meeting can't inject signaling into another
+  async function canRelayTo(event, targetId) {
+    const user = await getJoinedUser();
+    const target = user && targetId !== userId && (await roomStore.getParticipant(user.roomId, targetId));
+    if (target && target.status !== 'pending') {
+      signalingRelayed.inc({ type: event });
+      return true;
+    }
+
+    signalingRejected.inc({ type: event });
+    if (user) {
+      audit.record(user.roomId, AUDIT_EVENTS.RELAY_REJECTED, { actorId: userId, targetId, details: { event } });
+    }
+    socketLog.warn('Dropped relay to a target outside the sender\'s room', {
+      roomId: user && user.roomId,
+      participantId: userId,
+      event,
+      targetId
+    });
+    return false;
+  }
+
+  // Every error the client is sent, whichever path it went out on
+  socket.onAnyOutgoing((event, payload) => {
+    if (event === 'error') {
+      clientErrors.inc({ code: (payload && payload.code) || 'UNSPECIFIED' });
+    }
+  });
+
+  // Rate limiting and schema validation for every event. Handlers get the
+  // validated payload, stripped of anything the schema doesn't know about.
+  const rateLimiter = new SocketRateLimiter();
+  let rateLimitNoticeAt = 0;
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+
+    const retryAfterMs = rateLimiter.take(event);
+    if (retryAfterMs > 0) {
+      // One notice a second is enough; a flooding client gets no echo per packet
+      if (Date.now() - rateLimitNoticeAt >= 1000) {
+        rateLimitNoticeAt = Date.now();
+        socketLog.warn('Rate limited', { participantId: userId, event, retryAfterMs });
+        socket.emit('error', { code: RATE_LIMITED, event, message: 'Too many requests', retryAfterMs });
+      }
+      return;
+    }
+
+    let result;
+    try {
+      result = validatePayload(event, payload);
+    } catch (error) {
+      result = { error: { code: PAYLOAD_ERRORS.INVALID_PAYLOAD, message: 'Payload could not be checked' } };
+    }
+    if (result.error) {
+      const rejection = new Error(result.error.message);
+      rejection.data = { ...result.error, event };
+      next(rejection);
+      return;
+    }
+
+    packet[1] = result.value;
+    next();
+  });
+
+  // Events the middleware turned away: tell the client why
+  socket.on('error', (error) => {
+    const data = error.data || { code: 'INTERNAL', message: 'Request failed' };
+    socketLog.warn('Rejected event', { participantId: userId, event: data.event, code: data.code, reason: data.message });
+    socket.emit('error', data);
+  });
+
+  // Role-based authorization for every event that needs a permission
+  socket.use(async ([event, payload], next) => {
+    const permission = requiredPermission(event, payload);
+    if (!permission) return next();
+
+    try {
+      const user = await getJoinedUser();
+      const room = user && (await Room.load(user.roomId));
+      const role = room && (await room.getRole(userId));
+      if (hasPermission(role, permission)) return next();
+
+      socketLog.warn('Permission denied', { roomId: room && room.id, participantId: userId, event, role, permission });
+      socket.emit('error', {
+        code: FORBIDDEN,
+        event,
+        message: `Your role does not allow ${permission}`
+      });
+    } catch (error) {
+      serverErrors.inc({ operation: 'permission-check' });
+      socketLog.error('Permission check failed', { participantId: userId, event, error });
+      socket.emit('error', { code: 'INTERNAL', event, message: 'Request failed' });
+    }
+  });
+
+  // A socket sits in one room at a time: joining a second one would leave a
+  // ghost participant behind in the first. Joins are also handled one at a
+  // time so two sent back to back can't both get past this check.
+  handle('join-room', async (data) => {
+    if (socket.data.joining) {
+      socket.emit('error', { code: JOIN_ERRORS.ALREADY_JOINED, event: 'join-room', message: 'Already joining a meeting' });
+      return;
+    }
+    socket.data.joining = true;
+    try {
+      if (await roomStore.getUser(userId)) {
+        socket.emit('error', { code: JOIN_ERRORS.ALREADY_JOINED, event: 'join-room', message: 'Leave this meeting before joining another' });
+        return;
+      }
+      await joinRoom(data);
+    } finally {
+      socket.data.joining = false;
+    }
+  });
+
+  const joinRoom = async (data) => {
+    const { roomId, password, sessionId } = data;
+    let { hostToken, userData } = data;
+    
+    if (!roomId) {
+      socket.emit('error', { message: 'Room ID is required' });
+      return;
+    }
+
+    // A draining server takes nobody new; the client retries on another instance
+    if (draining) {
+      socket.emit('error', {
+        code: JOIN_ERRORS.DRAINING,
+        message: 'The server is shutting down',
+        retryAfterMs: reconnectDelayHint()
+      });
+      return;
+    }
+
+    // Browser-held identity that outlives this socket; bans are keyed on it
+    socket.data.sessionId = isSessionId(sessionId) ? sessionId : userId;
+
+    // Create room if it doesn't exist; whoever creates it gets the host token.
+    // IDs the API handed out are not reused once their room is gone.
+    let room = await Room.load(roomId);
+    if (!room) {
+      if (await roomStore.getRoomTombstone(roomId)) {
+        socket.emit('error', { code: JOIN_ERRORS.ENDED, message: 'This meeting has ended' });
+        return;
+      }
+      ({ room, hostToken } = await Room.create(roomId, null));
+      socket.emit('host-token', { roomId, hostToken });
+    }
+
+    // Scheduled rooms can only be joined inside their window, host included
+    const windowError = room.joinWindowError();
+    if (windowError === JOIN_ERRORS.NOT_STARTED) {
+      socket.emit('error', {
+        code: windowError,
+        message: 'This meeting has not started yet',
+        startsAt: room.startsAt,
+        joinOpensAt: room.joinOpensAt
+      });
+      return;
+    }
+    if (windowError === JOIN_ERRORS.ENDED) {
+      socket.emit('error', { code: windowError, message: 'This meeting has ended' });
+      return;
+    }
+
+    // A valid host token (re)claims host rights and skips the password and lobby
+    const isHost = room.verifyHostToken(hostToken);
+    if (isHost) {
+      const previousHostId = room.creatorId;
+      room.creatorId = userId;
+      await room.save();
+      // The host always gets in, full room or not
+      await admitParticipant(room, userId, userData, ROLES.ATTENDEE, null);
+
+      if (previousHostId) {
+        socket.to(roomId).emit('host-changed', { hostId: userId, previousHostId, reason: 'reclaimed' });
+        audit.record(roomId, AUDIT_EVENTS.HOST_CHANGED, { actorId: userId, targetId: userId, details: { reason: 'reclaimed', previousHostId } });
+        webhooks.dispatch('host.changed', { roomId, hostId: userId, previousHostId, reason: 'reclaimed' });
+        await announceRole(room, previousHostId);
+      }
+      socketLog.info('Host rights claimed', { roomId, participantId: userId, event: 'join-room' });
+      return;
+    }
+
+    // Invite links are checked up front but only used up once everything else passes
+    let invitePayload = null;
+    if (data.invite) {
+      const { payload, error } = invites.check(data.invite, roomId);
+      if (error) {
+        socketLog.warn('Invite rejected', { roomId, participantId: userId, event: 'join-room', code: error });
+        socket.emit('error', { code: error, message: INVITE_MESSAGES[error] });
+        return;
+      }
+      invitePayload = payload;
+    }
+
+    if (room.isSessionBanned(socket.data.sessionId)) {
+      socketLog.warn('Banned session tried to rejoin', { roomId, participantId: userId, event: 'join-room' });
+      socket.emit('error', { code: JOIN_ERRORS.BANNED, message: 'You have been banned from this meeting' });
+      return;
+    }
+    if (room.locked) {
+      socket.emit('error', { code: JOIN_ERRORS.LOCKED, message: 'This meeting is locked' });
+      return;
+    }
+    // Admitting checks the seat count again in the store; this only spares
+    // people a password prompt or a lobby wait for a room that is already full
+    if (await room.isFull()) {
+      socket.emit('error', { code: JOIN_ERRORS.FULL, message: 'This meeting is full' });
+      return;
+    }
+
+    // The host vouched for invited guests: no password or lobby, and they get
+    // the invite's role and name
+    if (invitePayload) {
+      const { invite, error } = await invites.redeem(invitePayload, socket.data.sessionId);
+      if (error) {
+        socket.emit('error', { code: error, message: INVITE_MESSAGES[error] });
+        return;
+      }
+
+      if (invite.name) {
+        userData = { ...userData, name: invite.name };
+      }
+      if (!(await admitParticipant(room, userId, userData, invite.role))) {
+        socket.emit('error', { code: JOIN_ERRORS.FULL, message: 'This meeting is full' });
+        return;
+      }
+      socketLog.info('Joined with invite', { roomId, participantId: userId, event: 'join-room', inviteId: invite.id });
+      return;
+    }
+
+    // Password-protected rooms: the client turns these codes into a password prompt
+    if (room.hasPassword() && !password) {
+      socket.emit('error', { code: JOIN_ERRORS.PASSWORD_REQUIRED, message: 'This room requires a password' });
+      return;
+    }
+    if (room.hasPassword()) {
+      const address = socket.handshake.address;
+      const retryAfterMs = Math.max(passwordFailuresByAddress.retryAfter(address), passwordFailuresByRoom.retryAfter(roomId));
+      if (retryAfterMs > 0) {
+        socket.emit('error', {
+          code: JOIN_ERRORS.PASSWORD_ATTEMPTS,
+          message: 'Too many incorrect passwords, try again later',
+          retryAfterMs
+        });
+        return;
+      }
+      if (!(await room.checkPassword(password))) {
+        passwordFailuresByAddress.recordFailure(address);
+        passwordFailuresByRoom.recordFailure(roomId);
+        socketLog.warn('Password check failed', { roomId, participantId: userId, event: 'join-room' });
+        audit.record(roomId, AUDIT_EVENTS.PASSWORD_FAILED, { actorId: userId, details: { address } });
+        socket.emit('error', { code: JOIN_ERRORS.PASSWORD_INVALID, message: 'Incorrect room password' });
+        return;
+      }
+    }
+
+    // Lobby mode: guests wait to be admitted by the host
+    if (room.lobbyEnabled) {
+      await room.addPendingParticipant(userId, userData, socket.data.sessionId);
+      await roomStore.putUser(userId, { roomId, userData, pending: true });
+
+      socket.emit('lobby-waiting', { roomId });
+      const moderatorIds = await room.getModeratorIds();
+      if (moderatorIds.length > 0) {
+        io.to(moderatorIds).emit('lobby-request', { userId, userData });
+      }
+
+      socketLog.info('Guest waiting in lobby', { roomId, participantId: userId, event: 'join-room' });
+      return;
+    }
+
+    if (!(await admitParticipant(room, userId, userData))) {
+      socket.emit('error', { code: JOIN_ERRORS.FULL, message: 'This meeting is full' });
+    }
+  };
+
+  // Reconnected after a network drop: take back our participant slot and ID so
+  // peers keep their connections and only restart ICE
+  handle('resume-session', async (data) => {
+    const { roomId, participantId, resumeToken, sessionId } = data || {};
+    if (draining) {
+      socket.emit('error', {
+        code: JOIN_ERRORS.DRAINING,
+        event: 'resume-session',
+        message: 'The server is shutting down',
+        retryAfterMs: reconnectDelayHint()
+      });
+      return;
+    }
+
+    const room = roomId && (await Room.load(roomId));
+    const banned = room && room.isSessionBanned(isSessionId(sessionId) ? sessionId : participantId);
+    const participant = room && !banned && (await room.resumeParticipant(participantId, resumeToken, socket.id));
+    if (!participant) {
+      socket.emit('error', { code: JOIN_ERRORS.SESSION_EXPIRED, message: 'Session can no longer be resumed' });
+      return;
+    }
+
+    userId = participant.id;
+    socket.data.sessionId = isSessionId(sessionId) ? sessionId : userId;
+    socket.join([userId, roomId]);
+
+    // Re-register so the store follows the socket to this process
+    await roomStore.putUser(userId, await roomStore.getUser(userId));
+
+    socket.emit('session-resumed', { roomId, participantId: userId });
+    socket.to(roomId).emit('user-reconnected', { userId });
+
+    socket.emit('ice-servers', iceServerConfig.forClient(userId));
+
+    // The room may have changed topology while we were away
+    const participantIds = (await room.getActiveParticipants()).map(p => p.id).filter(id => id !== userId);
+    socket.emit('media-mode', { mode: room.topology, participants: participantIds });
+    if (room.topology === 'sfu') {
+      sfu.restartIce(roomId, userId);
+    }
+
+    if (hasPermission(await room.getRole(userId), PERMISSIONS.MANAGE_LOBBY)) {
+      await sendLobbyRequests(room, [userId]);
+    }
+    socketLog.info('Session resumed', { roomId, participantId: userId, event: 'resume-session' });
+  });
+
+  // Explicit host handover to another participant
+  handle('transfer-host', async (data) => {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    const targetUserId = data && data.targetUserId;
+    const target = targetUserId !== userId && (await roomStore.getParticipant(room.id, targetUserId));
+    if (!target || target.status === 'pending') {
+      socket.emit('error', { message: 'New host must be a participant of this room' });
+      return;
+    }
+
+    await transferHost(room, target.id, 'transfer');
+  });
+
+  // Moderation: remove a participant, optionally keeping their session out for good
+  async function removeTarget(event, targetUserId, reason) {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    const targetRole = targetUserId !== userId && (await room.getRole(targetUserId));
+    if (!targetRole) {
+      socket.emit('error', { message: 'Target must be a participant of this room' });
+      return;
+    }
+    if (!canModerate(await room.getRole(userId), targetRole)) {
+      socket.emit('error', { code: FORBIDDEN, event, message: `Cannot remove a ${targetRole}` });
+      return;
+    }
+
+    if (reason === 'banned') {
+      await banParticipant(room, targetUserId);
+    }
+    await removeParticipant(room, targetUserId, reason, userId);
+  }
+
+  handle('kick-participant', async (data) => {
+    await removeTarget('kick-participant', data && data.targetUserId, 'kicked');
+  });
+
+  handle('ban-participant', async (data) => {
+    await removeTarget('ban-participant', data && data.targetUserId, 'banned');
+  });
+
+  handle('lock-room', async (data) => {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    room.locked = Boolean(data && data.locked);
+    await room.save();
+    io.to(room.id).emit('room-locked', { locked: room.locked, byUserId: userId });
+    audit.record(room.id, AUDIT_EVENTS.ROOM_LOCKED, { actorId: userId, details: { locked: room.locked } });
+    socketLog.info(room.locked ? 'Room locked' : 'Room unlocked', { roomId: room.id, participantId: userId, event: 'lock-room' });
+  });
+
+  // Role changes by the host or a co-host
+  handle('set-role', async (data) => {
+    const { targetUserId, role } = data || {};
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    const currentRole = await room.getRole(targetUserId);
+    if (!currentRole) {
+      socket.emit('error', { message: 'Target must be a participant of this room' });
+      return;
+    }
+    if (!canAssignRole(await room.getRole(userId), currentRole, role)) {
+      socket.emit('error', { code: FORBIDDEN, event: 'set-role', message: `Cannot change ${currentRole} to ${role}` });
+      return;
+    }
+
+    await room.setParticipantRole(targetUserId, role);
+    await announceRole(room, targetUserId);
+    audit.record(room.id, AUDIT_EVENTS.ROLE_CHANGED, { actorId: userId, targetId: targetUserId, details: { from: currentRole, to: role } });
+
+    // Switch off whatever the new role no longer allows
+    if (!hasPermission(role, PERMISSIONS.UNMUTE)) {
+      io.to(targetUserId).emit('remote-control-audio', { fromUserId: userId, enable: false });
+    }
+    if (!hasPermission(role, PERMISSIONS.VIDEO)) {
+      io.to(targetUserId).emit('remote-control-video', { fromUserId: userId, enable: false });
+    }
+    if (hasPermission(role, PERMISSIONS.MANAGE_LOBBY)) {
+      await sendLobbyRequests(room, [targetUserId]);
+    }
+
+    socketLog.info('Role changed', { roomId: room.id, participantId: userId, event: 'set-role', targetUserId, role });
+  });
+
+  // Lobby decisions by the host or a co-host
+  handle('lobby-admit', async (data) => {
+    const lobby = await getLobbyGuest(data && data.userId);
+    if (!lobby) return;
+
+    // Whatever kept people out at join-room time may have changed while the guest waited
+    const { room, guest } = lobby;
+    if (room.isGuestBanned(guest)) {
+      await room.removeParticipant(guest.id);
+      await roomStore.deleteUser(guest.id);
+      io.to(guest.id).emit('error', { code: JOIN_ERRORS.BANNED, message: 'You have been banned from this meeting' });
+      const moderatorIds = await room.getModeratorIds();
+      if (moderatorIds.length > 0) {
+        io.to(moderatorIds).emit('lobby-cancelled', { userId: guest.id });
+      }
+      socket.emit('error', { code: JOIN_ERRORS.BANNED, event: 'lobby-admit', message: 'This guest has been banned from the meeting' });
+      return;
+    }
+    if (room.locked) {
+      socket.emit('error', { code: JOIN_ERRORS.LOCKED, event: 'lobby-admit', message: 'The meeting is locked, unlock it to admit guests' });
+      return;
+    }
+    if (!(await admitParticipant(room, guest.id, guest.userData))) {
+      socket.emit('error', { code: JOIN_ERRORS.FULL, event: 'lobby-admit', message: 'The meeting is full, nobody else can be admitted' });
+      return;
+    }
+
+    io.to(guest.id).emit('lobby-admitted', { roomId: room.id });
+    audit.record(room.id, AUDIT_EVENTS.LOBBY_ADMITTED, { actorId: userId, targetId: guest.id });
+    socketLog.info('Lobby guest admitted', { roomId: room.id, participantId: userId, event: 'lobby-admit', guestId: guest.id });
+  });
+
+  handle('lobby-deny', async (data) => {
+    const lobby = await getLobbyGuest(data && data.userId);
+    if (!lobby) return;
+
+    const { room, guest } = lobby;
+    await room.removeParticipant(guest.id);
+    await roomStore.deleteUser(guest.id);
+    io.to(guest.id).emit('lobby-denied', { roomId: room.id });
+    audit.record(room.id, AUDIT_EVENTS.LOBBY_DENIED, { actorId: userId, targetId: guest.id });
+    socketLog.info('Lobby guest denied', { roomId: room.id, participantId: userId, event: 'lobby-deny', guestId: guest.id });
+  });
+
+  // WebRTC signaling
+  handle('offer', async (data) => {
+    const { targetUserId, offer } = data;
+    if (!(await canRelayTo('offer', targetUserId))) return;
+
+    socket.to(targetUserId).emit('offer', {
+      fromUserId: userId,
+      offer
+    });
+  });
+
+  handle('answer', async (data) => {
+    const { targetUserId, answer } = data;
+    if (!(await canRelayTo('answer', targetUserId))) return;
+
+    socket.to(targetUserId).emit('answer', {
+      fromUserId: userId,
+      answer
+    });
+  });
+
+  handle('ice-candidate', async (data) => {
+    const { targetUserId, candidate } = data;
+    if (!(await canRelayTo('ice-candidate', targetUserId))) return;
+
+    socket.to(targetUserId).emit('ice-candidate', {
+      fromUserId: userId,
+      candidate
+    });
+  });
+
+  // Signaling with the SFU, for participants it holds a connection with (SFU
+  // rooms, and rooms moving back to mesh). The SFU makes every offer (sent as
+  // sfu-offer), clients only answer.
+  async function getSfuRoomId() {
+    const user = await getJoinedUser();
+    return user && sfu.getPeer(user.roomId, userId) ? user.roomId : null;
+  }
+
+  // Fresh TURN credentials before the ones from joining expire
+  handle('refresh-ice-servers', async () => {
+    const user = await getJoinedUser();
+    if (user) {
+      socket.emit('ice-servers', iceServerConfig.forClient(userId));
+    }
+  });
+
+  handle('sfu-answer', async (data) => {
+    const roomId = await getSfuRoomId();
+    if (!roomId) return;
+
+    await sfu.handleAnswer(roomId, userId, data.answer);
+  });
+
+  handle('sfu-ice-candidate', async (data) => {
+    const roomId = await getSfuRoomId();
+    if (!roomId) return;
+
+    await sfu.addIceCandidate(roomId, userId, data.candidate);
+  });
+
+  // Handle encrypted chat messages
+  handle('encrypted-chat-message', async (data) => {
+    const user = await getJoinedUser();
+    if (user && (await roomStore.getRoom(user.roomId))) {
+      const { encryptedMessage, iv, tag, timestamp } = data;
+      const message = {
+        id: uuidv4(),
+        senderId: userId,
+        senderName: displayName(user.userData),
+        encryptedMessage,
+        iv,
+        tag,
+        timestamp: timestamp || new Date().toISOString()
+      };
+
+      // Broadcast encrypted message to all participants in the room
+      chatMessages.inc();
+      socket.to(user.roomId).emit('encrypted-chat-message', message);
+
+      // Kept as the same opaque envelope for people who join later
+      if (CHAT_HISTORY_LIMITS.maxMessages > 0) {
+        await roomStore.appendChatMessage(user.roomId, { ...message, storedAt: new Date() }, CHAT_HISTORY_LIMITS);
+      }
+    }
+  });
+
+  // Handle secure signaling for WebRTC
+  handle('secure-offer', async (data) => {
+    const { targetId, encryptedOffer, iv, tag } = data;
+    if (!(await canRelayTo('secure-offer', targetId))) return;
+
+    socket.to(targetId).emit('secure-offer', {
+      senderId: userId,
+      encryptedOffer,
+      iv,
+      tag
+    });
+  });
+
+  handle('secure-answer', async (data) => {
+    const { targetId, encryptedAnswer, iv, tag } = data;
+    if (!(await canRelayTo('secure-answer', targetId))) return;
+
+    socket.to(targetId).emit('secure-answer', {
+      senderId: userId,
+      encryptedAnswer,
+      iv,
+      tag
+    });
+  });
+
+  handle('secure-ice-candidate', async (data) => {
+    const { targetId, encryptedCandidate, iv, tag } = data;
+    if (!(await canRelayTo('secure-ice-candidate', targetId))) return;
+
+    socket.to(targetId).emit('secure-ice-candidate', {
+      senderId: userId,
+      encryptedCandidate,
+      iv,
+      tag
+    });
+  });
+
+  // Media state changes
+  handle('media-state-change', async (data) => {
+    const user = await getJoinedUser();
+    if (user) {
+      const { roomId } = user;
+      socket.to(roomId).emit('media-state-change', {
+        userId,
+        ...data
+      });
+    }
+  });
+
+  // Remote control events for elderly assistance
+  handle('remote-control-video', async (data) => {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    const { targetUserId, enable } = data;
+    if (!(await canRelayTo('remote-control-video', targetUserId))) return;
+
+    // Like kicking, this only reaches down: co-hosts can't control the host or each other
+    const targetRole = await room.getRole(targetUserId);
+    if (!canModerate(await room.getRole(userId), targetRole)) {
+      socket.emit('error', { code: FORBIDDEN, event: 'remote-control-video', message: `Cannot control a ${targetRole}` });
+      return;
+    }
+
+    // Moderators can't switch on what the target's own role forbids
+    if (enable && !hasPermission(targetRole, PERMISSIONS.VIDEO)) {
+      socket.emit('error', { code: FORBIDDEN, event: 'remote-control-video', message: 'Participant role does not allow video' });
+      return;
+    }
+
+    socket.to(targetUserId).emit('remote-control-video', {
+      fromUserId: userId,
+      enable: enable
+    });
+    audit.record(room.id, AUDIT_EVENTS.REMOTE_CONTROL, { actorId: userId, targetId: targetUserId, details: { kind: 'video', enable } });
+    socketLog.info('Remote video control', { roomId: room.id, participantId: userId, event: 'remote-control-video', targetUserId, enable });
+  });
+
+  handle('remote-control-audio', async (data) => {
+    const user = await getJoinedUser();
+    const room = user && (await Room.load(user.roomId));
+    if (!room) return;
+
+    const { targetUserId, enable } = data;
+    if (!(await canRelayTo('remote-control-audio', targetUserId))) return;
+
+    // Like kicking, this only reaches down: co-hosts can't control the host or each other
+    const targetRole = await room.getRole(targetUserId);
+    if (!canModerate(await room.getRole(userId), targetRole)) {
+      socket.emit('error', { code: FORBIDDEN, event: 'remote-control-audio', message: `Cannot control a ${targetRole}` });
+      return;
+    }
+
+    // Moderators can't switch on what the target's own role forbids
+    if (enable && !hasPermission(targetRole, PERMISSIONS.UNMUTE)) {
+      socket.emit('error', { code: FORBIDDEN, event: 'remote-control-audio', message: 'Participant role does not allow audio' });
+      return;
+    }
+
+    socket.to(targetUserId).emit('remote-control-audio', {
+      fromUserId: userId,
+      enable: enable
+    });
+    audit.record(room.id, AUDIT_EVENTS.REMOTE_CONTROL, { actorId: userId, targetId: targetUserId, details: { kind: 'audio', enable } });
+    socketLog.info('Remote audio control', { roomId: room.id, participantId: userId, event: 'remote-control-audio', targetUserId, enable });
+  });
+
+  handle('screen-share-start', async () => {
+    const user = await getJoinedUser();
+    if (user) {
+      const { roomId } = user;
+      socket.to(roomId).emit('screen-share-start', {
+        userId
+      });
+    }
+  });
+
+  handle('screen-share-stop', async () => {
+    const user = await getJoinedUser();
+    if (user) {
+      const { roomId } = user;
+      socket.to(roomId).emit('screen-share-stop', {
+        userId
+      });
+    }
+  });
+
+  // Handle disconnection
+  handle('disconnect', async () => {
+    const user = await roomStore.getUser(userId);
+    const room = user && (await Room.load(user.roomId));
+
+    if (room && user.pending) {
+      // Guest gave up waiting; drop them from the moderators' lobby panels
+      await room.removeParticipant(userId);
+      await roomStore.deleteUser(userId);
+      const moderatorIds = await room.getModeratorIds();
+      if (moderatorIds.length > 0) {
+        io.to(moderatorIds).emit('lobby-cancelled', { userId });
+      }
+    } else if (room) {
+      // Hold the slot for a while; peers keep their connections in case we resume.
+      // If a new socket already resumed the session this one is just a leftover.
+      if (await room.markDisconnected(userId, socket.id)) {
+        io.to(room.id).emit('user-reconnecting', { userId });
+        scheduleDeparture(room.id, userId, socket.id);
+      }
+    } else if (user) {
+      await roomStore.deleteUser(userId);
+    }
+
+    socketLog.info('Socket disconnected', { roomId: user && user.roomId, participantId: userId });
+  });
+});
+
+// REST API endpoints
+
+// Express 4 doesn't catch rejected promises: hand them to the error handlers
+function asyncHandler(handler) {
+  return (req, res, next, ...params) => {
+    Promise.resolve(handler(req, res, next, ...params)).catch(next);
+  };
+}
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness: listening, not draining, and the room store answers
+app.get('/readyz', asyncHandler(async (req, res) => {
+  if (draining || !ready) {
+    return res.status(503).json({ status: draining ? 'draining' : 'starting' });
+  }
+
+  const storeAnswered = await Promise.race([
+    roomStore.getRoom('readyz-probe').then(() => true, () => false),
+    new Promise(resolve => setTimeout(resolve, 1000, false))
+  ]);
+  if (!storeAnswered) {
+    return res.status(503).json({ status: 'room-store-unavailable' });
+  }
+  res.json({ status: 'ready' });
+}));
+
+// ICE configuration for clients that haven't joined a room yet: STUN only,
+// since TURN credentials are handed out over the socket on joining
+app.get('/api/ice-servers', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(iceServerConfig.withoutTurn());
+});
+
+// Whether the request carries `Authorization: Bearer <expected>`
+function hasBearerToken(req, expected) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && Boolean(token) && cryptoUtils.safeEqual(token, expected);
+}
+
+// Guards the operational endpoints, /api/stats and /metrics, with METRICS_TOKEN when set
+function requireMetricsToken(req, res, next) {
+  if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Signaling counters of this process (in cluster mode each worker counts its own sockets)
+app.get('/api/stats', requireMetricsToken, (req, res) => {
+  res.json({
+    pid: process.pid,
+    rejectedRelays: signalingRejected.total()
+  });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetricsToken, asyncHandler(async (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(await metrics.render());
+}));
+
+// Public room metadata
+async function describeRoom(room) {
+  return {
+    id: room.id,
+    title: room.title,
+    hostName: room.hostName,
+    createdAt: room.createdAt,
+    startsAt: room.startsAt,
+    endsAt: room.endsAt,
+    participantCount: await room.getParticipantCount(),
+    maxParticipants: room.maxParticipants,
+    passwordProtected: room.hasPassword(),
+    lobbyEnabled: room.lobbyEnabled,
+    locked: room.locked,
+    mediaMode: room.mediaMode,
+    topology: room.topology,
+    inviteUrl: `/api/v1/rooms/${room.id}/invite.ics`
+  };
+}
+
+// Participants and lobby guests of a room in join order, with role and status
+async function describeParticipants(room) {
+  const participants = await roomStore.listParticipants(room.id);
+  return participants.map(participant => {
+    const pending = participant.status === 'pending';
+    return {
+      id: participant.id,
+      name: displayName(pending ? participant.userData : participant),
+      role: pending ? null : room.roleOf(participant),
+      status: pending ? 'waiting' : participant.disconnectedAt ? 'reconnecting' : 'active',
+      joinedAt: pending ? null : participant.joinedAt,
+      requestedAt: pending ? participant.requestedAt : undefined
+    };
+  });
+}
+
+// Base for links handed out of band, without a trailing slash; null when
+// PUBLIC_URL isn't set and the Host header doesn't make a valid origin
+function publicBaseUrl(req) {
+  if (PUBLIC_URL) {
+    return PUBLIC_URL;
+  }
+  try {
+    return new URL(`${req.protocol}://${req.get('host')}`).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Calendar invite with the room link; unscheduled rooms run from creation to their hard end
+function sendRoomInvite(res, room, baseUrl) {
+  const invite = buildRoomInvite({
+    roomId: room.id,
+    title: room.title || (room.hostName ? `${room.hostName}'s meeting` : 'Video meeting'),
+    startsAt: room.startsAt || room.createdAt,
+    endsAt: room.endsAt,
+    url: `${baseUrl}/room.html?room=${encodeURIComponent(room.id)}`,
+    domain: new URL(baseUrl).hostname
+  });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="meeting-${room.id}.ics"`);
+  res.send(invite);
+}
+
+// Room options from a create request: optional password (undefined means an
+// open room), lobby mode, a participant cap below the server-wide limit, and
+// an optional title and schedule
+function readRoomOptions(body) {
+  const { password, lobby, maxParticipants, title, hostName, earlyJoinMinutes, mediaMode } = body || {};
+  const options = { lobby: lobby === true };
+
+  if (password !== undefined && password !== null && password !== '') {
+    if (typeof password !== 'string' || password.length > 128) {
+      return { error: 'Password must be a string of at most 128 characters' };
+    }
+    options.password = password;
+  }
+
+  if (maxParticipants !== undefined && maxParticipants !== null) {
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > ROOM_MAX_PARTICIPANTS) {
+      return { error: `maxParticipants must be an integer between 2 and ${ROOM_MAX_PARTICIPANTS}` };
+    }
+    options.maxParticipants = maxParticipants;
+  }
+
+  if (title !== undefined && title !== null && title !== '') {
+    if (typeof title !== 'string' || title.trim().length === 0 || title.length > 200) {
+      return { error: 'Title must be a string of at most 200 characters' };
+    }
+    options.title = title.trim();
+  }
+
+  if (hostName !== undefined && hostName !== null && hostName !== '') {
+    if (typeof hostName !== 'string' || hostName.trim().length === 0 || hostName.length > 64) {
+      return { error: 'hostName must be a string of at most 64 characters' };
+    }
+    options.hostName = hostName.trim();
+  }
+
+  if (mediaMode !== undefined && mediaMode !== null) {
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      return { error: `mediaMode must be one of ${MEDIA_MODES.join(', ')}` };
+    }
+    if (mediaMode === 'sfu' && cluster.isWorker) {
+      return { error: 'SFU rooms need a single-process server' };
+    }
+    options.mediaMode = mediaMode;
+  }
+
+  const schedule = readRoomSchedule(body);
+  if (schedule.error) {
+    return schedule;
+  }
+  if (schedule.startsAt) {
+    if (earlyJoinMinutes !== undefined && (!Number.isInteger(earlyJoinMinutes) || earlyJoinMinutes < 0 || earlyJoinMinutes > 24 * 60)) {
+      return { error: 'earlyJoinMinutes must be an integer between 0 and 1440' };
+    }
+    Object.assign(options, schedule, { earlyJoinMinutes });
+  }
+
+  return { options };
+}
+
+// Scheduled start and end from a create request. Either may be left out: the
+// start defaults to now and the end to the longest meeting allowed.
+function readRoomSchedule(body) {
+  const { startsAt, endsAt } = body || {};
+  if (startsAt === undefined && endsAt === undefined) {
+    return {};
+  }
+
+  const start = startsAt === undefined ? new Date() : new Date(startsAt);
+  const end = endsAt === undefined ? new Date(start.getTime() + ROOM_MAX_DURATION_MS) : new Date(endsAt);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'startsAt and endsAt must be ISO 8601 date-times' };
+  }
+  if (end <= start || end <= new Date()) {
+    return { error: 'endsAt must be in the future and after startsAt' };
+  }
+  if (end - start > ROOM_MAX_DURATION_MS) {
+    return { error: `Meetings can last at most ${ROOM_MAX_DURATION_MS / 60000} minutes` };
+  }
+  return { startsAt: start, endsAt: end };
+}
+
+// Room changes from a v1 PATCH request. Only the fields present are changed;
+// a null title or password removes it.
+function readRoomChanges(body) {
+  const { title, password, lobby, locked, maxParticipants } = body || {};
+  const changes = {};
+
+  if (title !== undefined) {
+    if (title !== null && (typeof title !== 'string' || title.trim().length === 0 || title.length > 200)) {
+      return { error: 'Title must be null or a string of at most 200 characters' };
+    }
+    changes.title = title === null ? null : title.trim();
+  }
+
+  if (password !== undefined) {
+    if (password !== null && (typeof password !== 'string' || password.length > 128)) {
+      return { error: 'Password must be null or a string of at most 128 characters' };
+    }
+    changes.password = password || null;
+  }
+
+  for (const [name, value] of Object.entries({ lobby, locked })) {
+    if (value !== undefined) {
+      if (typeof value !== 'boolean') {
+        return { error: `${name} must be a boolean` };
+      }
+      changes[name] = value;
+    }
+  }
+
+  if (maxParticipants !== undefined) {
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > ROOM_MAX_PARTICIPANTS) {
+      return { error: `maxParticipants must be an integer between 2 and ${ROOM_MAX_PARTICIPANTS}` };
+    }
+    changes.maxParticipants = maxParticipants;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to change' };
+  }
+  return { changes };
+}
+
+// Versioned public REST API. Every error has the same shape:
+// { error: { code, message } } with code one of API_ERRORS.
+const API_ERRORS = {
+  INVALID_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  INTERNAL: 500
+};
+
+function sendApiError(res, code, message) {
+  return res.status(API_ERRORS[code]).json({ error: { code, message } });
+}
+
+const apiV1 = express.Router();
+
+const openApiDocument = buildOpenApiDocument({
+  version: API_VERSION,
+  maxParticipants: ROOM_MAX_PARTICIPANTS,
+  maxDurationMinutes: ROOM_MAX_DURATION_MS / 60000,
+  inviteTtlMinutes: INVITE_DEFAULT_TTL_MINUTES,
+  inviteMaxTtlMinutes: INVITE_MAX_TTL_MINUTES
+});
+
+apiV1.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+apiV1.param('roomId', asyncHandler(async (req, res, next, roomId) => {
+  req.room = await Room.load(roomId);
+  if (!req.room) {
+    return sendApiError(res, 'NOT_FOUND', 'Room not found');
+  }
+  next();
+}));
+
+// Operations that change a room need its host token as a bearer token
+function requireHostToken(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match || !req.room.verifyHostToken(match[1])) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendApiError(res, 'UNAUTHORIZED', 'Missing or invalid host token');
+  }
+  next();
+}
+
+apiV1.post('/rooms', asyncHandler(async (req, res) => {
+  const { options, error } = readRoomOptions(req.body);
+  if (error) {
+    return sendApiError(res, 'INVALID_REQUEST', error);
+  }
+
+  const { room, hostToken } = await Room.create(uuidv4(), null, { ...options, issued: true });
+  res.status(201)
+    .location(`${req.baseUrl}/rooms/${room.id}`)
+    .json({ ...(await describeRoom(room)), hostToken });
+}));
+
+apiV1.get('/rooms/:roomId', asyncHandler(async (req, res) => {
+  res.json(await describeRoom(req.room));
+}));
+
+apiV1.patch('/rooms/:roomId', requireHostToken, asyncHandler(async (req, res) => {
+  const { changes, error } = readRoomChanges(req.body);
+  if (error) {
+    return sendApiError(res, 'INVALID_REQUEST', error);
+  }
+
+  const { room } = req;
+  const wasLocked = room.locked;
+  if (changes.title !== undefined) room.title = changes.title;
+  if (changes.lobby !== undefined) room.lobbyEnabled = changes.lobby;
+  if (changes.locked !== undefined) room.locked = changes.locked;
+  if (changes.maxParticipants !== undefined) room.maxParticipants = changes.maxParticipants;
+  if (changes.password !== undefined) {
+    if (changes.password) {
+      await room.setPassword(changes.password);
+    } else {
+      room.clearPassword();
+    }
+  }
+  await room.save();
+
+  if (room.locked !== wasLocked) {
+    io.to(room.id).emit('room-locked', { locked: room.locked, byUserId: null });
+    audit.record(room.id, AUDIT_EVENTS.ROOM_LOCKED, { actorId: 'api', details: { locked: room.locked } });
+  }
+  log.info('Room updated through the API', { roomId: room.id, fields: Object.keys(changes) });
+  res.json(await describeRoom(room));
+}));
+
+// Closing a room ends the meeting for everyone in it
+apiV1.delete('/rooms/:roomId', requireHostToken, asyncHandler(async (req, res) => {
+  await expireRoom(req.room, 'closed-by-host');
+  res.status(204).end();
+}));
+
+apiV1.get('/rooms/:roomId/participants', requireHostToken, asyncHandler(async (req, res) => {
+  res.json({ participants: await describeParticipants(req.room) });
+}));
+
+// Invite links; the token itself is only returned when the invite is created
+function describeInvite(invite) {
+  return {
+    id: invite.id,
+    role: invite.role,
+    name: invite.name,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt,
+    status: inviteStatus(invite)
+  };
+}
+
+// Invite settings from a create request: lifetime (capped by the room's own
+// end), use limit, and the role and display name the guest joins with
+function readInviteOptions(body, room) {
+  const { expiresInMinutes = INVITE_DEFAULT_TTL_MINUTES, maxUses = null, role = ROLES.ATTENDEE, name = null } = body || {};
+
+  if (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > INVITE_MAX_TTL_MINUTES) {
+    return { error: `expiresInMinutes must be an integer between 1 and ${INVITE_MAX_TTL_MINUTES}` };
+  }
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000)) {
+    return { error: 'maxUses must be null or an integer between 1 and 1000' };
+  }
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+  if (name !== null && (typeof name !== 'string' || name.trim().length === 0 || name.length > 64)) {
+    return { error: 'name must be null or a string of at most 64 characters' };
+  }
+
+  const expiresAt = new Date(Math.min(Date.now() + expiresInMinutes * 60000, new Date(room.endsAt).getTime()));
+  return { options: { expiresAt, maxUses, role, name: name && name.trim() } };
+}
+
+apiV1.post('/rooms/:roomId/invites', requireHostToken, asyncHandler(async (req, res) => {
+  const { room } = req;
+  const { options, error } = readInviteOptions(req.body, room);
+  if (error) {
+    return sendApiError(res, 'INVALID_REQUEST', error);
+  }
+
+  const baseUrl = publicBaseUrl(req);
+  if (!baseUrl) {
+    return sendApiError(res, 'INVALID_REQUEST', 'Invalid Host header');
+  }
+  const active = (await invites.list(room.id)).filter(invite => inviteStatus(invite) === 'active');
+  if (active.length >= MAX_ACTIVE_INVITES) {
+    return sendApiError(res, 'INVALID_REQUEST', `A room can have at most ${MAX_ACTIVE_INVITES} active invites, revoke one first`);
+  }
+
+  const { invite, token } = await invites.create(room.id, options);
+  log.info('Invite created', { roomId: room.id, inviteId: invite.id, role: invite.role, maxUses: invite.maxUses });
+  res.status(201)
+    .location(`${req.baseUrl}/rooms/${room.id}/invites/${invite.id}`)
+    .json({
+      ...describeInvite(invite),
+      token,
+      url: `${baseUrl}/room/${encodeURIComponent(room.id)}?invite=${encodeURIComponent(token)}`
+    });
+}));
+
+apiV1.get('/rooms/:roomId/invites', requireHostToken, asyncHandler(async (req, res) => {
+  const roomInvites = await invites.list(req.room.id);
+  res.json({ invites: roomInvites.map(describeInvite) });
+}));
+
+// Revoked invites stay listed so the host can see what was handed out
+apiV1.delete('/rooms/:roomId/invites/:inviteId', requireHostToken, asyncHandler(async (req, res) => {
+  const invite = await invites.revoke(req.room.id, req.params.inviteId);
+  if (!invite) {
+    return sendApiError(res, 'NOT_FOUND', 'Invite not found');
+  }
+  log.info('Invite revoked', { roomId: req.room.id, inviteId: invite.id });
+  res.status(204).end();
+}));
+
+apiV1.get('/rooms/:roomId/invite.ics', (req, res) => {
+  const baseUrl = publicBaseUrl(req);
+  if (!baseUrl) {
+    return sendApiError(res, 'INVALID_REQUEST', 'Invalid Host header');
+  }
+  sendRoomInvite(res, req.room, baseUrl);
+});
+
+apiV1.use((req, res) => {
+  sendApiError(res, 'NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+// Malformed JSON bodies and unexpected failures still answer with the error envelope
+function handleApiV1Error(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendApiError(res, 'INVALID_REQUEST', 'Request body is not valid JSON');
+  }
+  serverErrors.inc({ operation: 'http' });
+  log.error('API request failed', { method: req.method, path: req.originalUrl, error });
+  sendApiError(res, 'INTERNAL', 'Internal server error');
+}
+
+app.use('/api/v1', apiV1, handleApiV1Error);
+
+// Unversioned routes kept as aliases of /api/v1 for existing clients; they
+// answer with their original response shapes
+
+app.get('/api/rooms/:roomId', asyncHandler(async (req, res) => {
+  const room = await Room.load(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json(await describeRoom(room));
+}));
+
+app.get('/api/rooms/:roomId/invite.ics', asyncHandler(async (req, res) => {
+  const room = await Room.load(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  const baseUrl = publicBaseUrl(req);
+  if (!baseUrl) {
+    return res.status(400).json({ error: 'Invalid Host header' });
+  }
+  sendRoomInvite(res, room, baseUrl);
+}));
+
+// Description of a freshly created room in the unversioned shape
+async function describeNewRoom(room, hostToken) {
+  return { roomId: room.id, hostToken, ...(await describeRoom(room)) };
+}
+
+app.post('/api/rooms', asyncHandler(async (req, res) => {
+  const { options, error } = readRoomOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { room, hostToken } = await Room.create(uuidv4(), null, { ...options, issued: true });
+  res.json(await describeNewRoom(room, hostToken));
+}));
+
+// Alternative endpoint for create-room (used by older Vue.js frontends); the
+// creator's username becomes the room's host name
+app.post('/api/create-room', asyncHandler(async (req, res) => {
+  const { username, ...body } = req.body || {};
+  const { options, error } = readRoomOptions({ hostName: username, ...body });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const { room, hostToken } = await Room.create(uuidv4(), null, { ...options, issued: true });
+  res.json({
+    success: true,
+    ...(await describeNewRoom(room, hostToken)),
+    message: 'Room created successfully'
+  });
+}));
+
+// Admin API: live room inspection and control for operators
+const adminApi = express.Router();
+
+adminApi.use((req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled, set ADMIN_API_TOKEN to enable it' });
+  }
+
+  if (!hasBearerToken(req, ADMIN_API_TOKEN)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+// Load the room named in the URL or answer 404
+adminApi.param('roomId', asyncHandler(async (req, res, next, roomId) => {
+  req.room = await Room.load(roomId);
+  if (!req.room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  next();
+}));
+
+// Everything an operator needs to know about a room and who is in it
+async function describeRoomForAdmin(room) {
+  const sockets = await io.in(room.id).fetchSockets();
+
+  return {
+    id: room.id,
+    title: room.title,
+    createdAt: room.createdAt,
+    startsAt: room.startsAt,
+    endsAt: room.endsAt,
+    emptySince: room.emptySince,
+    hostId: room.creatorId,
+    passwordProtected: room.hasPassword(),
+    lobbyEnabled: room.lobbyEnabled,
+    locked: room.locked,
+    maxParticipants: room.maxParticipants,
+    mediaMode: room.mediaMode,
+    topology: room.topology,
+    connectedSockets: sockets.length,
+    participants: await describeParticipants(room)
+  };
+}
+
+adminApi.get('/rooms', asyncHandler(async (req, res) => {
+  const records = await roomStore.listRooms();
+  const rooms = await Promise.all(records.map(record => describeRoomForAdmin(Room.fromRecord(record))));
+  res.json({ rooms });
+}));
+
+adminApi.get('/rooms/:roomId', asyncHandler(async (req, res) => {
+  res.json(await describeRoomForAdmin(req.room));
+}));
+
+// Force-close a room; everyone in it gets room-expired
+adminApi.delete('/rooms/:roomId', asyncHandler(async (req, res) => {
+  await expireRoom(req.room, 'closed-by-admin');
+  res.status(204).end();
+}));
+
+// Remove a participant, with ?ban=true also keeping them out for the room's lifetime
+adminApi.delete('/rooms/:roomId/participants/:participantId', asyncHandler(async (req, res) => {
+  const { room } = req;
+  const { participantId } = req.params;
+  if (!(await room.getRole(participantId))) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+
+  const ban = req.query.ban === 'true';
+  if (ban) {
+    await banParticipant(room, participantId);
+  }
+  await removeParticipant(room, participantId, ban ? 'banned' : 'kicked', 'admin');
+  res.status(204).end();
+}));
+
+// Broadcast a system notice to everyone in the room
+adminApi.post('/rooms/:roomId/notices', (req, res) => {
+  const { message, level = 'info' } = req.body || {};
+  if (typeof message !== 'string' || message.trim().length === 0 || message.length > 500) {
+    return res.status(400).json({ error: 'message must be a non-empty string of at most 500 characters' });
+  }
+  if (!['info', 'warning'].includes(level)) {
+    return res.status(400).json({ error: 'level must be info or warning' });
+  }
+
+  const notice = { message: message.trim(), level, sentAt: new Date() };
+  io.to(req.room.id).emit('system-notice', notice);
+  log.info('Admin notice sent', { roomId: req.room.id, level });
+  res.status(202).json(notice);
+});
+
+// Audit logs are keyed by room ID and outlive their room (see AUDIT_LOG_RETENTION_MS)
+adminApi.get('/audit-logs', asyncHandler(async (req, res) => {
+  const summaries = await audit.listLogs();
+  const auditLogs = await Promise.all(summaries.map(async summary => ({
+    ...summary,
+    roomOpen: Boolean(await roomStore.getRoom(summary.roomId))
+  })));
+  res.json({ auditLogs });
+}));
+
+// One room's log as JSON (default) or CSV (?format=csv), with the hash chain checked
+adminApi.get('/audit-logs/:logId', asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  const entries = await audit.list(req.params.logId);
+  if (!entries) {
+    return res.status(404).json({ error: 'Audit log not found' });
+  }
+
+  const chain = verifyChain(entries);
+  if (!chain.valid) {
+    log.error('Audit log chain is broken', { roomId: req.params.logId, brokenAtSeq: chain.brokenAtSeq });
+  }
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${req.params.logId}.csv"`);
+    res.set('X-Audit-Chain-Valid', String(chain.valid));
+    return res.send(auditLogToCsv(entries));
+  }
+  res.json({ roomId: req.params.logId, chain, entries });
+}));
+
+// Webhook subscriptions for room and participant lifecycle events
+adminApi.get('/webhooks', asyncHandler(async (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, webhooks: await webhooks.listSubscriptions() });
+}));
+
+// The secret is only ever returned here; receivers use it to verify signatures
+adminApi.post('/webhooks', asyncHandler(async (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, secret } = req.body || {};
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({ error: 'url must be an http(s) URL' });
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+    return res.status(400).json({ error: 'secret must be a string of 16 to 256 characters' });
+  }
+
+  const subscription = await webhooks.createSubscription({ url: parsedUrl.href, events: [...new Set(events)], secret });
+  log.info('Webhook subscribed', { webhookId: subscription.id, url: subscription.url, events: subscription.events });
+  res.status(201).json(subscription);
+}));
+
+adminApi.delete('/webhooks/:webhookId', asyncHandler(async (req, res) => {
+  if (!(await webhooks.deleteSubscription(req.params.webhookId))) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.status(204).end();
+}));
+
+// Recent deliveries with their attempts, status codes and errors, newest first
+adminApi.get('/webhooks/:webhookId/deliveries', asyncHandler(async (req, res) => {
+  if (!(await webhooks.getSubscription(req.params.webhookId))) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ deliveries: await webhooks.listDeliveries(req.params.webhookId) });
+}));
+
+// Send a webhook.ping event to check the receiver
+adminApi.post('/webhooks/:webhookId/ping', asyncHandler(async (req, res) => {
+  const delivery = await webhooks.ping(req.params.webhookId);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.status(202).json(delivery);
+}));
+
+app.use('/api/admin', adminApi);
+
+// Serve the main page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/room/:roomId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'room.html'));
+});
+
+// Handle 404 errors properly - serve index.html for SPA routing
+app.use((req, res, next) => {
+  // If it's an API request, let it 404 normally
+  if (req.path.startsWith('/api/')) {
+    return next();
+  }
+  // For all other requests, serve index.html
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Failures outside /api/v1 (which has its own envelope)
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  serverErrors.inc({ operation: 'http' });
+  log.error('Request failed', { method: req.method, path: req.originalUrl, error });
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// Start WebTransport server
+webTransportServer.start().catch(error => log.error('WebTransport server failed to start', error));
+
+// The cluster primary runs the built-in STUN/TURN server for all workers
+if (turnServer && !cluster.isWorker) {
+  turnServer.start().catch(error => log.error('STUN/TURN server failed to start', error));
+}
+
+// Every process with sockets sweeps; the store decides who gets to delete a room
+startRoomSweeper();
+
+if (cluster.isWorker) {
+  // The cluster primary listens and prepares the shared room store
+  ready = true;
+  log.info('Signaling worker ready');
+} else {
+  // No socket survives a restart, so drop participants left over from a previous
+  // run; rooms and their keys are kept. Then start the server (Render will handle
+  // HTTPS automatically)
+  roomStore.clearParticipants().then(() => server.listen(PORT, HOST, () => {
+    ready = true;
+    log.info('WebRTC server running', { url: `http://${HOST}:${PORT}`, webTransportPort: webTransportServer.port });
+  })).catch(error => {
+    log.error('Failed to start: room store unavailable', error);
+    process.exit(1);
+  });
+}
+
+// Graceful shutdown: stop taking joins and connections, tell clients to
+// reconnect (each after its own delay, so they don't all arrive at once) and
+// exit once they are gone or SHUTDOWN_DRAIN_MS has passed
+async function drain(signal) {
+  if (draining) return;
+  draining = true;
+  const deadline = new Date(Date.now() + SHUTDOWN_DRAIN_MS);
+  const sockets = io.of('/').sockets;
+  log.info('Draining before shutdown', { signal, sockets: sockets.size, deadline });
+
+  sockets.forEach(socket => {
+    socket.emit('server-shutting-down', { reconnectAfterMs: reconnectDelayHint(), deadline });
+  });
+
+  if (server.listening) {
+    server.close();
+  }
+  await webTransportServer.stop().catch(error => log.error('Failed to stop WebTransport server', error));
+
+  // Both the poll and the deadline end up here; only the first may close things
+  let exiting = false;
+  const exit = async () => {
+    if (exiting) return;
+    exiting = true;
+    clearInterval(poll);
+    clearTimeout(deadlineTimer);
+    io.close();
+    if (!cluster.isWorker) {
+      await roomStore.persist(); // Flush a pending file store write
+      // Relayed calls keep flowing until the very end of the drain
+      if (turnServer) {
+        await turnServer.stop().catch(error => log.error('Failed to stop STUN/TURN server', error));
+      }
+    }
+    log.info('Server closed');
+    process.exit(0);
+  };
+  const poll = setInterval(() => {
+    if (sockets.size === 0) {
+      exit();
+    }
+  }, 250);
+  const deadlineTimer = setTimeout(() => {
+    log.warn('Drain deadline reached, closing remaining connections', { sockets: sockets.size });
+    exit();
+  }, SHUTDOWN_DRAIN_MS).unref();
+}
+
+// Last resort for a promise nobody handled: log it rather than let Node exit
+process.on('unhandledRejection', (reason) => {
+  serverErrors.inc({ operation: 'unhandled-rejection' });
+  log.error('Unhandled promise rejection', { error: reason });
+});
+
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    drain(signal).catch(error => {
+      log.error('Drain failed', error);
+      process.exit(1);
+    });
   });
 });
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, roomStore };
\ No newline at end of file
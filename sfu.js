@@ -0,0 +1,349 @@
+// Selective forwarding unit for rooms in SFU mode. Every participant keeps a
+// single peer connection with the server (werift, a pure-JS WebRTC stack):
+// they publish their microphone and camera on it once, and the server forwards
+// everyone else's tracks down the same connection. The server always makes
+// the offers and clients only answer, so renegotiations can't collide.
+//
+// Media is only forwarded between participants whose sockets live in this
+// process; cluster mode therefore keeps rooms in mesh mode.
+
+const { RTCPeerConnection, MediaStreamTrack, useOPUS, useVP8 } = require('werift');
+const { createLogger } = require('./logger');
+
+const log = createLogger('sfu');
+
+const KINDS = ['audio', 'video'];
+
+/**
+ * Forwards published tracks between the participants of SFU rooms
+ */
+class SelectiveForwardingUnit {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - (participantId, event, payload) delivering signaling to a participant
+     * @param {string[]} options.announcedAddresses - Extra host addresses offered to clients (e.g. a public IP)
+     * @param {number[]} options.portRange - [min, max] UDP ports for media, or undefined for any
+     */
+    constructor({ send, announcedAddresses = [], portRange }) {
+        this.send = send;
+        this.peerConfig = {
+            iceServers: [],
+            codecs: { audio: [useOPUS()], video: [useVP8()] },
+            iceAdditionalHostAddresses: announcedAddresses.length > 0 ? announcedAddresses : undefined,
+            icePortRange: portRange
+        };
+        this.rooms = new Map(); // Room ID -> Map of participant ID -> peer
+    }
+
+    /**
+     * Number of participants with a server peer connection in this process
+     * @returns {number} Peer connections
+     */
+    getPeerCount() {
+        let count = 0;
+        this.rooms.forEach(peers => {
+            count += peers.size;
+        });
+        return count;
+    }
+
+    /**
+     * Connect a participant: open their peer connection, subscribe them to
+     * everything already published in the room and send the first offer
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     */
+    join(roomId, participantId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, new Map());
+        }
+        const peers = this.rooms.get(roomId);
+        if (peers.has(participantId)) {
+            this.leave(roomId, participantId);
+        }
+
+        const pc = new RTCPeerConnection(this.peerConfig);
+        const peer = {
+            id: participantId,
+            roomId,
+            pc,
+            // What the participant publishes, by kind: { transceiver, track }
+            published: {},
+            // Transceivers forwarding other participants' tracks; a slot whose
+            // publisher left is parked inactive and reused for the next one
+            slots: [],
+            negotiating: false,
+            renegotiate: false
+        };
+        KINDS.forEach(kind => {
+            peer.published[kind] = { transceiver: pc.addTransceiver(kind, { direction: 'recvonly' }), track: null };
+        });
+        peers.set(participantId, peer);
+
+        pc.ontrack = ({ track, transceiver }) => {
+            const published = peer.published[track.kind];
+            if (published && published.transceiver === transceiver) {
+                published.track = track;
+                this.forwardToRoom(peer, track.kind);
+            }
+        };
+        pc.onIceCandidate.subscribe(candidate => {
+            if (candidate) {
+                this.send(participantId, 'sfu-ice-candidate', { candidate: candidate.toJSON() });
+            }
+        });
+        pc.connectionStateChange.subscribe(state => {
+            log.debug('SFU connection state', { roomId, participantId, state });
+            // Fresh subscribers need a key frame before they can show anything
+            if (state === 'connected') {
+                peer.slots.forEach(slot => this.requestKeyFrame(slot));
+            }
+        });
+
+        peers.forEach(publisher => {
+            if (publisher !== peer) {
+                KINDS.forEach(kind => this.subscribe(peer, publisher, kind));
+            }
+        });
+        this.negotiate(peer);
+        log.info('SFU participant connected', { roomId, participantId });
+    }
+
+    /**
+     * Disconnect a participant and stop forwarding their tracks to the others
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     */
+    leave(roomId, participantId) {
+        const peers = this.rooms.get(roomId);
+        const peer = peers && peers.get(participantId);
+        if (!peer) return;
+
+        peers.delete(participantId);
+        peer.slots.forEach(slot => this.unsubscribe(slot));
+        peer.pc.close().catch(error => log.warn('Failed to close SFU peer connection', { roomId, participantId, error }));
+
+        peers.forEach(subscriber => {
+            const slots = subscriber.slots.filter(slot => slot.publisherId === participantId);
+            slots.forEach(slot => this.unsubscribe(slot));
+            if (slots.length > 0) {
+                this.negotiate(subscriber);
+            }
+        });
+        if (peers.size === 0) {
+            this.rooms.delete(roomId);
+        }
+        log.info('SFU participant disconnected', { roomId, participantId });
+    }
+
+    /**
+     * Disconnect everyone in a room
+     * @param {string} roomId - Room ID
+     */
+    closeRoom(roomId) {
+        const peers = this.rooms.get(roomId);
+        if (peers) {
+            Array.from(peers.keys()).forEach(participantId => this.leave(roomId, participantId));
+        }
+    }
+
+    /**
+     * Renegotiate with ICE restarted, after the participant's signaling
+     * connection was resumed on a new socket
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     */
+    restartIce(roomId, participantId) {
+        const peer = this.getPeer(roomId, participantId);
+        if (!peer) {
+            this.join(roomId, participantId);
+            return;
+        }
+        // An offer in flight was probably lost with the old socket
+        peer.negotiating = false;
+        this.negotiate(peer, { iceRestart: true });
+    }
+
+    /**
+     * Apply a participant's answer to our last offer
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     * @param {Object} answer - { type: 'answer', sdp }
+     */
+    async handleAnswer(roomId, participantId, answer) {
+        const peer = this.getPeer(roomId, participantId);
+        if (!peer || !peer.negotiating) return;
+
+        try {
+            await peer.pc.setRemoteDescription(answer);
+        } catch (error) {
+            log.warn('Failed to apply SFU answer', { roomId, participantId, error });
+        }
+        peer.negotiating = false;
+        if (peer.renegotiate) {
+            this.negotiate(peer);
+        }
+    }
+
+    /**
+     * Add a participant's ICE candidate
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     * @param {Object} candidate - RTCIceCandidateInit
+     */
+    async addIceCandidate(roomId, participantId, candidate) {
+        const peer = this.getPeer(roomId, participantId);
+        if (!peer) return;
+
+        try {
+            await peer.pc.addIceCandidate(candidate);
+        } catch (error) {
+            log.debug('Ignored SFU ICE candidate', { roomId, participantId, error });
+        }
+    }
+
+    /**
+     * A participant's connection with the SFU
+     * @param {string} roomId - Room ID
+     * @param {string} participantId - Participant ID
+     * @returns {Object|null} Peer, or null if they have none
+     */
+    getPeer(roomId, participantId) {
+        const peers = this.rooms.get(roomId);
+        return (peers && peers.get(participantId)) || null;
+    }
+
+    /**
+     * Send a newly published track to everyone else in the room
+     * @param {Object} publisher - Publishing peer
+     * @param {string} kind - 'audio' or 'video'
+     */
+    forwardToRoom(publisher, kind) {
+        this.rooms.get(publisher.roomId).forEach(subscriber => {
+            if (subscriber !== publisher && this.subscribe(subscriber, publisher, kind)) {
+                this.negotiate(subscriber);
+            }
+        });
+    }
+
+    /**
+     * Forward one of a publisher's tracks to a subscriber, on a parked slot
+     * if there is one or a new transceiver otherwise
+     * @param {Object} subscriber - Receiving peer
+     * @param {Object} publisher - Publishing peer
+     * @param {string} kind - 'audio' or 'video'
+     * @returns {boolean} True when the subscriber needs a new offer
+     */
+    subscribe(subscriber, publisher, kind) {
+        const { track, transceiver: publisherTransceiver } = publisher.published[kind];
+        if (!track || subscriber.slots.some(slot => slot.publisherId === publisher.id && slot.kind === kind)) {
+            return false;
+        }
+
+        let slot = subscriber.slots.find(candidate => candidate.kind === kind && !candidate.publisherId);
+        if (!slot) {
+            const forwardTrack = new MediaStreamTrack({ kind });
+            slot = {
+                kind,
+                forwardTrack,
+                transceiver: subscriber.pc.addTransceiver(forwardTrack, { direction: 'sendonly' }),
+                publisherId: null,
+                source: null, // { receiver, track } of the publisher
+                unsubscribe: null
+            };
+            slot.transceiver.sender.onPictureLossIndication.subscribe(() => this.requestKeyFrame(slot));
+            subscriber.slots.push(slot);
+        } else {
+            slot.transceiver.setDirection('sendonly');
+        }
+
+        slot.publisherId = publisher.id;
+        slot.source = { receiver: publisherTransceiver.receiver, track };
+        let switched = false;
+        // werift's sender rewrites the packets it sends, so every subscriber
+        // gets its own copy
+        slot.unsubscribe = track.onReceiveRtp.subscribe(rtp => {
+            if (!switched) {
+                // Continue the slot's sequence numbers and timestamps from the old source
+                slot.forwardTrack.onSourceChanged.execute(rtp.header);
+                switched = true;
+            }
+            slot.forwardTrack.writeRtp(rtp.serialize());
+        }).unSubscribe;
+        this.requestKeyFrame(slot);
+        return true;
+    }
+
+    /**
+     * Stop forwarding into a slot and park it
+     * @param {Object} slot - Subscriber slot
+     */
+    unsubscribe(slot) {
+        if (slot.unsubscribe) {
+            slot.unsubscribe();
+        }
+        slot.publisherId = null;
+        slot.source = null;
+        slot.unsubscribe = null;
+        slot.transceiver.setDirection('inactive');
+    }
+
+    /**
+     * Ask a video slot's publisher for a key frame
+     * @param {Object} slot - Subscriber slot
+     */
+    requestKeyFrame(slot) {
+        if (slot.kind !== 'video' || !slot.source || !slot.source.track.ssrc) return;
+        slot.source.receiver.sendRtcpPLI(slot.source.track.ssrc)
+            .catch(error => log.debug('Failed to request key frame', { error }));
+    }
+
+    /**
+     * Offer the peer's current transceivers, or remember to once the answer
+     * to the offer in flight is in
+     * @param {Object} peer - Peer to renegotiate with
+     * @param {Object} options - createOffer options
+     */
+    async negotiate(peer, options = {}) {
+        if (peer.negotiating) {
+            peer.renegotiate = true;
+            return;
+        }
+        peer.negotiating = true;
+        peer.renegotiate = false;
+
+        try {
+            const offer = await peer.pc.createOffer(options);
+            await peer.pc.setLocalDescription(offer);
+            this.send(peer.id, 'sfu-offer', {
+                offer: { type: 'offer', sdp: peer.pc.localDescription.sdp },
+                // Which m-lines carry our media, and whose media the others carry
+                publish: KINDS.map(kind => ({ kind, mid: peer.published[kind].transceiver.mid })),
+                tracks: peer.slots
+                    .filter(slot => slot.publisherId)
+                    .map(slot => ({ mid: slot.transceiver.mid, kind: slot.kind, participantId: slot.publisherId }))
+            });
+        } catch (error) {
+            peer.negotiating = false;
+            log.error('SFU negotiation failed', { roomId: peer.roomId, participantId: peer.id, error });
+        }
+    }
+}
+
+/**
+ * Create the SFU from the environment
+ * @param {Function} send - (participantId, event, payload) delivering signaling to a participant
+ * @returns {SelectiveForwardingUnit} SFU
+ */
+function createSfu(send) {
+    const portRange = process.env.SFU_PORT_RANGE
+        ? process.env.SFU_PORT_RANGE.split('-').map(port => parseInt(port, 10))
+        : undefined;
+    return new SelectiveForwardingUnit({
+        send,
+        announcedAddresses: (process.env.SFU_ANNOUNCED_IP || '').split(',').map(ip => ip.trim()).filter(Boolean),
+        portRange
+    });
+}
+
+module.exports = { SelectiveForwardingUnit, createSfu };
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AUDIT_EVENTS, GENESIS_HASH, AuditLog, chainEntry, toCsv, verifyChain } = require('../audit-log');
+const { MemoryRoomStore } = require('../room-store');
+
+function buildChain(length) {
+    const entries = [];
+    for (let i = 0; i < length; i++) {
+        entries.push(chainEntry(entries[i - 1] || null, {
+            roomId: 'room-1',
+            type: AUDIT_EVENTS.PARTICIPANT_JOINED,
+            actorId: `user-${i}`
+        }));
+    }
+    return entries;
+}
+
+// Let record()'s fire-and-forget store write land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('entries link to the one before them', () => {
+    const [first, second] = buildChain(2);
+
+    assert.equal(first.seq, 1);
+    assert.equal(first.prevHash, GENESIS_HASH);
+    assert.equal(second.seq, 2);
+    assert.equal(second.prevHash, first.hash);
+    assert.deepEqual(verifyChain([first, second]), { valid: true, brokenAtSeq: null, firstSeq: 1 });
+});
+
+test('edited, dropped and reordered entries break the chain', () => {
+    const entries = buildChain(4);
+
+    const edited = entries.map(entry => ({ ...entry }));
+    edited[2].actorId = 'someone-else';
+    assert.equal(verifyChain(edited).brokenAtSeq, 3);
+
+    assert.equal(verifyChain([entries[0], entries[2], entries[3]]).brokenAtSeq, 2);
+    assert.equal(verifyChain([entries[1], entries[0]]).brokenAtSeq, 3);
+    assert.equal(verifyChain(entries.slice(1)).valid, true);
+});
+
+test('a log capped by the store is checked from its oldest entry', () => {
+    const entries = buildChain(5).slice(2);
+
+    assert.deepEqual(verifyChain(entries), { valid: true, brokenAtSeq: null, firstSeq: 3 });
+    assert.deepEqual(verifyChain([]), { valid: true, brokenAtSeq: null, firstSeq: 1 });
+});
+
+test('the store keeps a log to its size cap', async () => {
+    const store = new MemoryRoomStore();
+    for (let i = 0; i < 5010; i++) {
+        await store.appendAuditEntry('room-1', { roomId: 'room-1', type: AUDIT_EVENTS.PARTICIPANT_JOINED });
+    }
+
+    const entries = await store.listAuditEntries('room-1');
+    assert.equal(entries.length, 5000);
+    assert.equal(entries[0].seq, 11);
+    assert.equal(verifyChain(entries).valid, true);
+});
+
+test('rejected relays are recorded once per actor and window', async () => {
+    const store = new MemoryRoomStore();
+    const auditLog = new AuditLog(store);
+
+    for (let i = 0; i < 100; i++) {
+        auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, { actorId: 'mallory', details: { event: 'offer' } });
+    }
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, { actorId: 'trudy', details: { event: 'offer' } });
+    auditLog.record('room-1', AUDIT_EVENTS.PARTICIPANT_LEFT, { actorId: 'mallory' });
+    await settle();
+
+    const entries = await auditLog.list('room-1');
+    assert.deepEqual(entries.map(entry => [entry.type, entry.actorId]), [
+        [AUDIT_EVENTS.RELAY_REJECTED, 'mallory'],
+        [AUDIT_EVENTS.RELAY_REJECTED, 'trudy'],
+        [AUDIT_EVENTS.PARTICIPANT_LEFT, 'mallory']
+    ]);
+});
+
+test('the first entry after a window counts what was left out', async () => {
+    const auditLog = new AuditLog(new MemoryRoomStore());
+    const event = { actorId: 'mallory', details: { event: 'offer' } };
+
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, event);
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, event);
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, event);
+    auditLog.throttles.get(`room-1 ${AUDIT_EVENTS.RELAY_REJECTED} mallory`).until = Date.now();
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, event);
+    await settle();
+
+    const entries = await auditLog.list('room-1');
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[1].details, { event: 'offer', suppressed: 2 });
+});
+
+test('other senders opening windows keep a finished window\'s count', async () => {
+    const auditLog = new AuditLog(new MemoryRoomStore());
+    const mallory = { actorId: 'mallory', details: { event: 'offer' } };
+    const trudy = { actorId: 'trudy', details: { event: 'offer' } };
+
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, mallory);
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, mallory);
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, mallory);
+    auditLog.throttles.get(`room-1 ${AUDIT_EVENTS.RELAY_REJECTED} mallory`).until = Date.now();
+    // Trudy's new window sweeps finished ones before Mallory is heard from again
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, trudy);
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, mallory);
+    await settle();
+
+    const entries = await auditLog.list('room-1');
+    assert.deepEqual(entries.map(entry => [entry.actorId, entry.details.suppressed]), [
+        ['mallory', undefined],
+        ['trudy', undefined],
+        ['mallory', 2]
+    ]);
+});
+
+test('finished windows with nothing left out are forgotten', () => {
+    const auditLog = new AuditLog(new MemoryRoomStore());
+
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, { actorId: 'mallory' });
+    auditLog.throttles.get(`room-1 ${AUDIT_EVENTS.RELAY_REJECTED} mallory`).until = Date.now();
+    auditLog.record('room-1', AUDIT_EVENTS.RELAY_REJECTED, { actorId: 'trudy' });
+
+    assert.deepEqual(Array.from(auditLog.throttles.keys()), [`room-1 ${AUDIT_EVENTS.RELAY_REJECTED} trudy`]);
+});
+
+test('CSV export quotes fields that need it', () => {
+    const [entry] = buildChain(1);
+    entry.details = { reason: 'said "no", twice' };
+
+    const [header, row] = toCsv([entry]).split('\r\n');
+    assert.equal(header, 'seq,at,type,actorId,targetId,details,prevHash,hash');
+    assert.ok(row.includes('"{""reason"":""said \\""no\\"", twice""}"'));
+    assert.ok(row.startsWith(`1,${entry.at},participant.joined,user-0,,`));
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildRoomInvite } = require('../calendar');
+
+const invite = {
+    roomId: 'room-1',
+    title: 'Weekly sync',
+    startsAt: new Date('2030-03-04T09:30:00+02:00'),
+    endsAt: new Date('2030-03-04T10:15:00.500+02:00'),
+    url: 'https://meet.example.com/room/room-1',
+    domain: 'meet.example.com'
+};
+
+// Undo line folding (RFC 5545 section 3.1)
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+// Value of the first property with this name
+const property = (ics, name) => unfold(ics).split('\r\n').find(line => line.startsWith(`${name}:`)).slice(name.length + 1);
+
+test('an invite is one VEVENT in a VCALENDAR with CRLF line endings', () => {
+    const ics = buildRoomInvite(invite);
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.equal(lines.at(-1), '');
+    assert.ok(!/[^\r]\n/.test(ics));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    assert.equal(property(ics, 'UID'), 'room-1@meet.example.com');
+    assert.equal(property(ics, 'URL'), invite.url);
+});
+
+test('start and end are UTC date-times', () => {
+    const ics = buildRoomInvite(invite);
+
+    assert.equal(property(ics, 'DTSTART'), '20300304T073000Z');
+    assert.equal(property(ics, 'DTEND'), '20300304T081500Z');
+    assert.match(property(ics, 'DTSTAMP'), /^\d{8}T\d{6}Z$/);
+});
+
+test('commas, semicolons, backslashes and newlines in text are escaped', () => {
+    const ics = buildRoomInvite({ ...invite, title: 'Plan; budget, Q3\\Q4\nfollow-up\r\nnotes' });
+
+    assert.equal(property(ics, 'SUMMARY'), 'Plan\\; budget\\, Q3\\\\Q4\\nfollow-up\\nnotes');
+});
+
+test('long lines are folded at 75 octets and unfold to the original', () => {
+    const title = 'Quarterly planning with the extended leadership team and everyone else interested';
+    const ics = buildRoomInvite({ ...invite, title });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    const summary = lines.findIndex(line => line.startsWith('SUMMARY:'));
+    assert.equal(Buffer.byteLength(lines[summary]), 75);
+    assert.ok(lines[summary + 1].startsWith(' '));
+    assert.equal(property(ics, 'SUMMARY'), title);
+});
+
+test('folding never splits a multi-byte character', () => {
+    const title = 'Réunion d\'équipe — ' + '日本語の会議'.repeat(8);
+    const ics = buildRoomInvite({ ...invite, title });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.equal(property(ics, 'SUMMARY'), title);
+});
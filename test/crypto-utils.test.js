@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CryptoUtils = require('../crypto-utils');
+
+const cryptoUtils = new CryptoUtils();
+
+test('a hashed password verifies, a wrong one does not', async () => {
+    const { salt, hash } = await cryptoUtils.hashPassword('correct horse');
+
+    assert.match(salt, /^[0-9a-f]{32}$/);
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(await cryptoUtils.verifyPassword('correct horse', salt, hash), true);
+    assert.equal(await cryptoUtils.verifyPassword('battery staple', salt, hash), false);
+});
+
+test('the same password hashes differently with each salt', async () => {
+    const first = await cryptoUtils.hashPassword('secret');
+    const second = await cryptoUtils.hashPassword('secret');
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+});
+
+test('a malformed stored hash never verifies', async () => {
+    const { salt } = await cryptoUtils.hashPassword('secret');
+
+    assert.equal(await cryptoUtils.verifyPassword('secret', salt, 'abcd'), false);
+});
+
+test('safeEqual compares secrets of any length', () => {
+    assert.equal(cryptoUtils.safeEqual('token', 'token'), true);
+    assert.equal(cryptoUtils.safeEqual('token', 'tokens'), false);
+    assert.equal(cryptoUtils.safeEqual('', 'token'), false);
+});
+
+test('HMAC signatures verify only for the same data and key', () => {
+    const signature = cryptoUtils.createHMAC('payload', 'key');
+
+    assert.equal(cryptoUtils.verifyHMAC('payload', 'key', signature), true);
+    assert.equal(cryptoUtils.verifyHMAC('payload!', 'key', signature), false);
+    assert.equal(cryptoUtils.verifyHMAC('payload', 'other key', signature), false);
+    assert.equal(cryptoUtils.verifyHMAC('payload', 'key', signature.slice(0, 10)), false);
+});
+
+test('deriveKey is deterministic for a secret and salt', async () => {
+    const key = await cryptoUtils.deriveKey('shared secret', 'salt');
+
+    assert.equal(key.length, 32);
+    assert.deepEqual(await cryptoUtils.deriveKey('shared secret', 'salt'), key);
+    assert.notDeepEqual(await cryptoUtils.deriveKey('shared secret', 'pepper'), key);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ERROR_CODES, validatePayload } = require('../event-schemas');
+
+test('a valid payload comes back without unknown fields', () => {
+    const result = validatePayload('join-room', {
+        roomId: 'room-1',
+        userData: { name: 'Alice', isAdmin: true },
+        extra: 'dropped'
+    });
+
+    assert.deepEqual(result, { value: { roomId: 'room-1', userData: { name: 'Alice' } } });
+});
+
+test('unknown events are rejected, inherited names included', () => {
+    for (const event of ['made-up', 'toString', 'constructor', '__proto__']) {
+        assert.equal(validatePayload(event, {}).error.code, ERROR_CODES.UNKNOWN_EVENT, event);
+    }
+});
+
+test('missing, mistyped and out-of-range fields are rejected', () => {
+    const cases = [
+        ['join-room', {}, 'payload.roomId is required'],
+        ['join-room', { roomId: 42 }, 'payload.roomId must be a string'],
+        ['join-room', { roomId: '' }, 'payload.roomId is too short'],
+        ['lock-room', { locked: 'yes' }, 'payload.locked must be a boolean'],
+        ['set-role', { targetUserId: 'bob', role: 'host' }, 'payload.role must be one of co-host, presenter, attendee, viewer'],
+        ['ice-candidate', { targetUserId: 'bob', candidate: { candidate: '', sdpMLineIndex: 1.5 } }, 'payload.candidate.sdpMLineIndex must be an integer'],
+        ['media-state-change', [], 'payload must be an object'],
+        ['media-state-change', null, 'payload must not be null']
+    ];
+    for (const [event, payload, message] of cases) {
+        assert.deepEqual(validatePayload(event, payload).error, { code: ERROR_CODES.INVALID_PAYLOAD, message });
+    }
+});
+
+test('nullable fields accept null', () => {
+    const candidate = { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host', sdpMid: null, sdpMLineIndex: null };
+
+    assert.deepEqual(validatePayload('sfu-ice-candidate', { candidate }).value, { candidate });
+});
+
+test('oversized payloads are rejected before validation', () => {
+    const result = validatePayload('media-state-change', { audio: true, padding: 'x'.repeat(5000) });
+
+    assert.equal(result.error.code, ERROR_CODES.PAYLOAD_TOO_LARGE);
+});
+
+test('events may raise their own size cap', () => {
+    const sdp = 'v=0\r\n'.repeat(2000);
+
+    assert.equal(validatePayload('offer', { targetUserId: 'bob', offer: { type: 'offer', sdp } }).error, undefined);
+    assert.equal(validatePayload('offer', { targetUserId: 'bob', offer: { type: 'answer', sdp } }).error.code, ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('optional payloads may be left out', () => {
+    assert.deepEqual(validatePayload('screen-share-start', undefined), { value: undefined });
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { DEFAULT_STUN_URLS, IceServerConfig, createTurnCredentials, parseUrlList } = require('../ice-servers');
+
+test('URL lists are split on commas and trimmed', () => {
+    assert.deepEqual(parseUrlList(' turn:a.example:3478 ,turns:b.example:5349,, '), ['turn:a.example:3478', 'turns:b.example:5349']);
+    assert.deepEqual(parseUrlList(undefined), []);
+});
+
+test('TURN REST credentials follow the coturn scheme', () => {
+    const now = Date.UTC(2030, 0, 1);
+    const credentials = createTurnCredentials('secret', 'alice', 600, now);
+
+    assert.equal(credentials.expiresAt, now / 1000 + 600);
+    assert.equal(credentials.username, `${now / 1000 + 600}:alice`);
+    assert.equal(credentials.credential, crypto.createHmac('sha1', 'secret').update(credentials.username).digest('base64'));
+});
+
+test('clients get fresh TURN credentials when a secret is set', () => {
+    const config = new IceServerConfig({ turnUrls: ['turn:turn.example:3478'], turnSecret: 'secret', ttlSeconds: 3600 });
+
+    const { iceServers, ttl, expiresAt } = config.forClient('alice');
+    assert.deepEqual(iceServers[0], { urls: DEFAULT_STUN_URLS });
+    assert.match(iceServers[1].username, /^\d+:alice$/);
+    assert.equal(ttl, 3600);
+    assert.ok(expiresAt > new Date());
+});
+
+test('fixed TURN credentials are handed out as they are', () => {
+    const config = new IceServerConfig({
+        stunUrls: [],
+        turnUrls: ['turn:turn.example:3478'],
+        turnUsername: 'user',
+        turnPassword: 'pass'
+    });
+
+    assert.deepEqual(config.forClient('alice'), {
+        iceServers: [{ urls: ['turn:turn.example:3478'], username: 'user', credential: 'pass' }],
+        iceTransportPolicy: 'all',
+        ttl: null,
+        expiresAt: null
+    });
+});
+
+test('withoutTurn leaves TURN servers and credentials out', () => {
+    const config = new IceServerConfig({ turnUrls: ['turn:turn.example:3478'], turnSecret: 'secret', ttlSeconds: 3600 });
+
+    assert.deepEqual(config.withoutTurn().iceServers, [{ urls: DEFAULT_STUN_URLS }]);
+});
+
+test('misconfigurations are refused up front', () => {
+    assert.throws(() => new IceServerConfig({ transportPolicy: 'none' }), /transport policy/);
+    assert.throws(() => new IceServerConfig({ turnUrls: ['turn:turn.example:3478'] }), /shared secret or a username/);
+});
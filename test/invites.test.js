@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CryptoUtils = require('../crypto-utils');
+const { INVITE_ERRORS, InviteManager, inviteStatus } = require('../invites');
+const { MemoryRoomStore } = require('../room-store');
+
+const inFuture = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+function createManager() {
+    return new InviteManager(new MemoryRoomStore(), new CryptoUtils(), 'invite secret');
+}
+
+test('a token checks out for its own room only', async () => {
+    const invites = createManager();
+    const { invite, token } = await invites.create('room-1', { expiresAt: inFuture(60), role: 'attendee' });
+
+    const { payload } = invites.check(token, 'room-1');
+    assert.equal(payload.inviteId, invite.id);
+    assert.deepEqual(invites.check(token, 'room-2'), { error: INVITE_ERRORS.INVALID });
+});
+
+test('tampered and foreign tokens are invalid', async () => {
+    const invites = createManager();
+    const { token } = await invites.create('room-1', { expiresAt: inFuture(60), role: 'attendee' });
+    const [encoded, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ roomId: 'room-1', inviteId: 'x', exp: Date.now() + 60000 })).toString('base64url');
+    const otherServer = new InviteManager(new MemoryRoomStore(), new CryptoUtils(), 'other secret');
+
+    assert.equal(invites.verify(`${forged}.${signature}`), null);
+    assert.equal(invites.verify(`${encoded}.${signature}.extra`), null);
+    assert.equal(invites.verify('not a token'), null);
+    assert.equal(invites.verify(undefined), null);
+    assert.equal(otherServer.verify(token), null);
+});
+
+test('an expired token is refused before touching the store', () => {
+    const invites = createManager();
+    const token = invites.sign({ roomId: 'room-1', inviteId: 'invite-1', exp: Date.now() - 1 });
+
+    assert.deepEqual(invites.check(token, 'room-1'), { error: INVITE_ERRORS.EXPIRED });
+});
+
+test('uses are counted per session and capped', async () => {
+    const invites = createManager();
+    const { token } = await invites.create('room-1', { expiresAt: inFuture(60), maxUses: 1, role: 'attendee' });
+    const { payload } = invites.check(token, 'room-1');
+
+    assert.ok((await invites.redeem(payload, 'session-a')).invite);
+    // The same browser gets back in without using the invite up again
+    assert.ok((await invites.redeem(payload, 'session-a')).invite);
+    assert.deepEqual(await invites.redeem(payload, 'session-b'), { error: INVITE_ERRORS.USED_UP });
+});
+
+test('a revoked invite can no longer be redeemed', async () => {
+    const invites = createManager();
+    const { invite, token } = await invites.create('room-1', { expiresAt: inFuture(60), role: 'attendee' });
+    await invites.revoke('room-1', invite.id);
+
+    assert.deepEqual(await invites.redeem(invites.check(token, 'room-1').payload, 'session-a'), { error: INVITE_ERRORS.REVOKED });
+});
+
+test('inviteStatus reports why an invite is unusable', () => {
+    const now = new Date();
+    const invite = { revokedAt: null, expiresAt: inFuture(60), maxUses: 2, uses: 0 };
+
+    assert.equal(inviteStatus(invite, now), 'active');
+    assert.equal(inviteStatus({ ...invite, uses: 2 }, now), 'used-up');
+    assert.equal(inviteStatus({ ...invite, maxUses: null, uses: 50 }, now), 'active');
+    assert.equal(inviteStatus({ ...invite, expiresAt: now }, now), 'expired');
+    assert.equal(inviteStatus({ ...invite, revokedAt: now, uses: 2 }, now), 'revoked');
+});
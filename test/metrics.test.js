@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MetricsRegistry } = require('../metrics');
+
+test('every metric gets HELP and TYPE lines before its samples', async () => {
+    const metrics = new MetricsRegistry('app_');
+    metrics.counter('chat_messages_total', 'Chat messages broadcast').inc();
+    metrics.gauge('rooms', 'Rooms that exist', () => 3);
+
+    assert.equal(await metrics.render(), [
+        '# HELP app_chat_messages_total Chat messages broadcast',
+        '# TYPE app_chat_messages_total counter',
+        'app_chat_messages_total 1',
+        '# HELP app_rooms Rooms that exist',
+        '# TYPE app_rooms gauge',
+        'app_rooms 3',
+        ''
+    ].join('\n'));
+});
+
+test('counters keep one sample per label set', async () => {
+    const metrics = new MetricsRegistry();
+    const errors = metrics.counter('errors_total', 'Errors', ['code']);
+    errors.inc({ code: 'A' });
+    errors.inc({ code: 'B' }, 2);
+    errors.inc({ code: 'A', unknown: 'dropped' });
+
+    const text = await metrics.render();
+    assert.match(text, /^errors_total\{code="A"\} 2$/m);
+    assert.match(text, /^errors_total\{code="B"\} 2$/m);
+    assert.equal(errors.total(), 4);
+});
+
+test('label values are escaped', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.counter('events_total', 'Events', ['type']).inc({ type: 'say "hi"\\bye\nnow' });
+
+    assert.match(await metrics.render(), /^events_total\{type="say \\"hi\\"\\\\bye\\nnow"\} 1$/m);
+});
+
+test('gauges may report several labelled samples and special values', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.gauge('lag', 'Lag', async () => [
+        { labels: { stat: 'mean' }, value: 0.5 },
+        { labels: { stat: 'max' }, value: Infinity },
+        { labels: { stat: 'p99' }, value: NaN }
+    ]);
+
+    const lines = (await metrics.render()).split('\n');
+    assert.deepEqual(lines.slice(2, 5), ['lag{stat="mean"} 0.5', 'lag{stat="max"} +Inf', 'lag{stat="p99"} NaN']);
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', async () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram('duration_seconds', 'Durations', ['event'], [0.1, 1]);
+    duration.observe({ event: 'join' }, 0.05);
+    duration.observe({ event: 'join' }, 0.1);
+    duration.observe({ event: 'join' }, 0.5);
+    duration.observe({ event: 'join' }, 3);
+
+    assert.equal(await metrics.render(), [
+        '# HELP duration_seconds Durations',
+        '# TYPE duration_seconds histogram',
+        'duration_seconds_bucket{event="join",le="0.1"} 2',
+        'duration_seconds_bucket{event="join",le="1"} 3',
+        'duration_seconds_bucket{event="join",le="+Inf"} 4',
+        'duration_seconds_sum{event="join"} 3.65',
+        'duration_seconds_count{event="join"} 4',
+        ''
+    ].join('\n'));
+});
+
+test('histogram timers observe the elapsed seconds', async () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram('duration_seconds', 'Durations');
+
+    const stop = duration.startTimer();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stop();
+
+    const text = await metrics.render();
+    assert.match(text, /^duration_seconds_bucket\{le="0.01"\} 0$/m);
+    assert.match(text, /^duration_seconds_bucket\{le="5"\} 1$/m);
+    assert.match(text, /^duration_seconds_count 1$/m);
+});
+
+test('a histogram without observations renders only its HELP and TYPE', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.histogram('duration_seconds', 'Durations', ['event']);
+
+    assert.equal(await metrics.render(), '# HELP duration_seconds Durations\n# TYPE duration_seconds histogram\n');
+});
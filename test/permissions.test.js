@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ROLES,
+    PERMISSIONS,
+    getPermissions,
+    hasPermission,
+    requiredPermission,
+    canModerate,
+    canAssignRole
+} = require('../permissions');
+
+test('the host holds every permission', () => {
+    assert.deepEqual(getPermissions(ROLES.HOST), Object.values(PERMISSIONS));
+});
+
+test('viewers may chat but not speak, show video or moderate', () => {
+    assert.equal(hasPermission(ROLES.VIEWER, PERMISSIONS.CHAT), true);
+    for (const permission of [PERMISSIONS.UNMUTE, PERMISSIONS.VIDEO, PERMISSIONS.SCREEN_SHARE, PERMISSIONS.REMOTE_CONTROL]) {
+        assert.equal(hasPermission(ROLES.VIEWER, permission), false, permission);
+    }
+});
+
+test('only the host may hand over host rights', () => {
+    assert.equal(hasPermission(ROLES.HOST, PERMISSIONS.TRANSFER_HOST), true);
+    assert.equal(hasPermission(ROLES.CO_HOST, PERMISSIONS.TRANSFER_HOST), false);
+});
+
+test('unknown roles have no permissions, inherited names included', () => {
+    for (const role of ['admin', 'toString', '__proto__', undefined]) {
+        assert.deepEqual(getPermissions(role), [], String(role));
+    }
+});
+
+test('events map to the permission they need', () => {
+    assert.equal(requiredPermission('kick-participant'), PERMISSIONS.REMOVE_PARTICIPANT);
+    assert.equal(requiredPermission('encrypted-chat-message'), PERMISSIONS.CHAT);
+    assert.equal(requiredPermission('offer'), null);
+    assert.equal(requiredPermission('constructor'), null);
+});
+
+test('turning media on needs permission, turning it off does not', () => {
+    assert.equal(requiredPermission('media-state-change', { audio: true }), PERMISSIONS.UNMUTE);
+    assert.equal(requiredPermission('media-state-change', { video: true }), PERMISSIONS.VIDEO);
+    assert.equal(requiredPermission('media-state-change', { audio: false, video: false }), null);
+    assert.equal(requiredPermission('media-state-change', undefined), null);
+});
+
+test('moderation only reaches down', () => {
+    assert.equal(canModerate(ROLES.HOST, ROLES.CO_HOST), true);
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.ATTENDEE), true);
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.CO_HOST), false);
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.HOST), false);
+    assert.equal(canModerate(ROLES.HOST, ROLES.HOST), false);
+    assert.equal(canModerate(ROLES.PRESENTER, ROLES.VIEWER), false);
+});
+
+test('remote control takes the permission and a target below the sender', () => {
+    for (const event of ['remote-control-video', 'remote-control-audio']) {
+        assert.equal(requiredPermission(event, { enable: false }), PERMISSIONS.REMOTE_CONTROL);
+    }
+    assert.equal(hasPermission(ROLES.CO_HOST, PERMISSIONS.REMOTE_CONTROL), true);
+    assert.equal(hasPermission(ROLES.PRESENTER, PERMISSIONS.REMOTE_CONTROL), false);
+
+    // A co-host may mute attendees but not the host or another co-host
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.ATTENDEE), true);
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.HOST), false);
+    assert.equal(canModerate(ROLES.CO_HOST, ROLES.CO_HOST), false);
+    assert.equal(canModerate(ROLES.HOST, ROLES.CO_HOST), true);
+});
+
+test('co-hosts can assign roles below their own', () => {
+    assert.equal(canAssignRole(ROLES.HOST, ROLES.ATTENDEE, ROLES.CO_HOST), true);
+    assert.equal(canAssignRole(ROLES.CO_HOST, ROLES.ATTENDEE, ROLES.PRESENTER), true);
+    assert.equal(canAssignRole(ROLES.CO_HOST, ROLES.ATTENDEE, ROLES.CO_HOST), false);
+    assert.equal(canAssignRole(ROLES.HOST, ROLES.ATTENDEE, ROLES.HOST), false);
+    assert.equal(canAssignRole(ROLES.ATTENDEE, ROLES.VIEWER, ROLES.PRESENTER), false);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TokenBucket, SocketRateLimiter, FailureLimiter } = require('../rate-limit');
+
+test('a bucket allows a burst, then one event per refill', () => {
+    const bucket = new TokenBucket(3, 2);
+    const start = bucket.updatedAt;
+
+    assert.equal(bucket.take(start), 0);
+    assert.equal(bucket.take(start), 0);
+    assert.equal(bucket.take(start), 0);
+    assert.equal(bucket.take(start), 500);
+    assert.equal(bucket.take(start + 250), 250);
+    assert.equal(bucket.take(start + 500), 0);
+});
+
+test('a bucket never holds more than its capacity', () => {
+    const bucket = new TokenBucket(2, 1);
+    const start = bucket.updatedAt;
+
+    assert.equal(bucket.isFull(start + 60 * 1000), true);
+    bucket.take(start + 60 * 1000);
+    bucket.take(start + 60 * 1000);
+    assert.equal(bucket.wait(start + 60 * 1000), 1000);
+    assert.equal(bucket.isFull(start + 60 * 1000), false);
+});
+
+test('wait does not use up a token', () => {
+    const bucket = new TokenBucket(1, 1);
+    const start = bucket.updatedAt;
+
+    assert.equal(bucket.wait(start), 0);
+    assert.equal(bucket.wait(start), 0);
+    assert.equal(bucket.take(start), 0);
+    assert.equal(bucket.wait(start), 1000);
+});
+
+test('each event has its own bucket', () => {
+    const limiter = new SocketRateLimiter({ 'join-room': { capacity: 1, refillPerSecond: 0.1 } });
+
+    assert.equal(limiter.take('join-room'), 0);
+    assert.ok(limiter.take('join-room') > 0);
+    assert.equal(limiter.take('lock-room'), 0);
+});
+
+test('events without a limit of their own share one bucket', () => {
+    const limiter = new SocketRateLimiter({});
+
+    for (let i = 0; i < 20; i++) {
+        assert.equal(limiter.take(`made-up-${i}`), 0);
+    }
+    assert.ok(limiter.take('toString') > 0);
+    assert.equal(limiter.buckets.size, 1);
+});
+
+test('failures only start to count against a key once recorded', () => {
+    const limiter = new FailureLimiter({ capacity: 2, refillPerSecond: 1 });
+
+    assert.equal(limiter.retryAfter('10.0.0.1'), 0);
+    limiter.recordFailure('10.0.0.1');
+    assert.equal(limiter.retryAfter('10.0.0.1'), 0);
+    limiter.recordFailure('10.0.0.1');
+    assert.ok(limiter.retryAfter('10.0.0.1') > 0);
+    assert.equal(limiter.retryAfter('10.0.0.2'), 0);
+});
+
+test('failure buckets that refilled are dropped to make room', () => {
+    const limiter = new FailureLimiter({ capacity: 1, refillPerSecond: 1, maxKeys: 2 });
+    limiter.recordFailure('a');
+    limiter.recordFailure('b');
+    limiter.buckets.get('a').updatedAt -= 5000;
+
+    limiter.recordFailure('c');
+
+    assert.deepEqual(Array.from(limiter.buckets.keys()), ['b', 'c']);
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryRoomStore, FileRoomStore } = require('../room-store');
+
+test('memory store hands out copies, not its own records', async () => {
+    const store = new MemoryRoomStore();
+    await store.putRoom({ id: 'room-1', title: 'Standup' });
+
+    const room = await store.getRoom('room-1');
+    room.title = 'Changed';
+
+    assert.equal((await store.getRoom('room-1')).title, 'Standup');
+    assert.equal(await store.getRoom('missing'), null);
+});
+
+test('deleting a room drops its participants and keys', async () => {
+    const store = new MemoryRoomStore();
+    await store.putRoom({ id: 'room-1' });
+    await store.putParticipant('room-1', { id: 'alice' });
+    await store.putRoomKeys('room-1', { encryptionKey: 'key' });
+
+    assert.equal(await store.deleteRoom('room-1'), true);
+    assert.deepEqual(await store.listParticipants('room-1'), []);
+    assert.equal(await store.getRoomKeys('room-1'), null);
+    assert.equal(await store.deleteRoom('room-1'), false);
+});
+
+test('participants are listed in join order', async () => {
+    const store = new MemoryRoomStore();
+    await store.putParticipant('room-1', { id: 'alice' });
+    await store.putParticipant('room-1', { id: 'bob' });
+    await store.deleteParticipant('room-1', 'alice');
+    await store.putParticipant('room-1', { id: 'carol' });
+
+    assert.deepEqual((await store.listParticipants('room-1')).map(p => p.id), ['bob', 'carol']);
+});
+
+test('concurrent adds never seat more participants than the room holds', async () => {
+    const store = new MemoryRoomStore();
+    await store.putParticipant('room-1', { id: 'guest', status: 'pending' });
+
+    const added = await Promise.all(['alice', 'bob', 'carol'].map(id => store.addParticipantIfRoom('room-1', { id }, 2)));
+
+    assert.deepEqual(added, [true, true, false]);
+    assert.deepEqual((await store.listParticipants('room-1')).map(p => p.id), ['guest', 'alice', 'bob']);
+});
+
+test('an admitted lobby guest does not count against their own seat', async () => {
+    const store = new MemoryRoomStore();
+    await store.putParticipant('room-1', { id: 'alice' });
+    await store.putParticipant('room-1', { id: 'guest', status: 'pending' });
+
+    assert.equal(await store.addParticipantIfRoom('room-1', { id: 'guest' }, 2), true);
+    assert.equal(await store.addParticipantIfRoom('room-1', { id: 'bob' }, 2), false);
+    assert.equal(await store.addParticipantIfRoom('room-1', { id: 'host' }, null), true);
+    assert.equal((await store.getParticipant('room-1', 'guest')).status, undefined);
+});
+
+test('tombstones older than the cutoff are pruned', async () => {
+    const store = new MemoryRoomStore();
+    await store.putRoomTombstone({ roomId: 'old', endedAt: new Date('2020-01-01'), reason: 'ended' });
+    await store.putRoomTombstone({ roomId: 'recent', endedAt: new Date(), reason: 'ended' });
+
+    assert.equal(await store.pruneRoomTombstones(new Date('2021-01-01')), 1);
+    assert.equal(await store.getRoomTombstone('old'), null);
+    assert.equal((await store.getRoomTombstone('recent')).reason, 'ended');
+});
+
+test('chat history keeps the newest messages within its limits', async () => {
+    const store = new MemoryRoomStore();
+    const limits = { maxMessages: 2, maxAgeMs: 60 * 1000 };
+    const now = Date.now();
+    await store.appendChatMessage('room-1', { id: 'stale', storedAt: new Date(now - 2 * 60 * 1000) }, limits);
+    for (const id of ['a', 'b', 'c']) {
+        await store.appendChatMessage('room-1', { id, storedAt: new Date(now) }, limits);
+    }
+
+    assert.deepEqual((await store.listChatMessages('room-1', new Date(0))).map(m => m.id), ['b', 'c']);
+    assert.deepEqual(await store.listChatMessages('room-1', new Date(now + 1)), []);
+});
+
+test('file store survives a restart', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'room-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'rooms.json');
+
+    const store = new FileRoomStore(filePath);
+    await store.putRoom({ id: 'room-1', title: 'Standup' });
+    await store.putParticipant('room-1', { id: 'alice' });
+    await store.putRoomTombstone({ roomId: 'room-0', endedAt: new Date(), reason: 'ended' });
+    await store.appendChatMessage('room-1', { id: 'hello', storedAt: new Date() }, { maxMessages: 10, maxAgeMs: 60000 });
+
+    const reopened = new FileRoomStore(filePath);
+    assert.equal((await reopened.getRoom('room-1')).title, 'Standup');
+    assert.deepEqual((await reopened.listParticipants('room-1')).map(p => p.id), ['alice']);
+    assert.equal((await reopened.getRoomTombstone('room-0')).roomId, 'room-0');
+    assert.deepEqual((await reopened.listChatMessages('room-1', new Date(0))).map(m => m.id), ['hello']);
+});
+
+test('file store writes changes made during a write together', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'room-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const store = new FileRoomStore(path.join(dir, 'rooms.json'));
+    let writes = 0;
+    const writeSnapshot = store.writeSnapshot.bind(store);
+    store.writeSnapshot = () => {
+        writes++;
+        return writeSnapshot();
+    };
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.putRoom({ id: `room-${i}` })));
+
+    assert.ok(writes <= 2, `expected at most 2 writes, got ${writes}`);
+    assert.equal((await new FileRoomStore(store.filePath).listRooms()).length, 10);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { METHODS, ATTRIBUTES, decodeMessage, encodeMessage, isForbiddenPeer, parseCidr } = require('../turn-server');
+
+const REQUEST = 0;
+const SUCCESS = 2;
+
+test('an encoded message decodes to the same method, class and attributes', () => {
+    const transactionId = crypto.randomBytes(12);
+    const buffer = encodeMessage({
+        method: METHODS.CHANNEL_BIND,
+        cls: SUCCESS,
+        transactionId,
+        attributes: [[ATTRIBUTES.USERNAME, Buffer.from('alice')]]
+    });
+
+    const message = decodeMessage(buffer);
+    assert.equal(message.method, METHODS.CHANNEL_BIND);
+    assert.equal(message.cls, SUCCESS);
+    assert.deepEqual(message.transactionId, transactionId);
+    assert.deepEqual(message.attributes.map(attribute => attribute.type),
+        [ATTRIBUTES.USERNAME, ATTRIBUTES.SOFTWARE, ATTRIBUTES.FINGERPRINT]);
+    assert.equal(message.attributes[0].value.toString(), 'alice');
+});
+
+test('attributes are padded to four bytes', () => {
+    const buffer = encodeMessage({
+        method: METHODS.BINDING,
+        cls: REQUEST,
+        transactionId: crypto.randomBytes(12),
+        attributes: [[ATTRIBUTES.USERNAME, Buffer.from('bob')]]
+    });
+
+    assert.equal(buffer.length % 4, 0);
+    assert.equal(buffer.readUInt16BE(2), buffer.length - 20);
+});
+
+test('MESSAGE-INTEGRITY is an HMAC-SHA1 over the message up to it', () => {
+    const key = crypto.randomBytes(16);
+    const buffer = encodeMessage({ method: METHODS.ALLOCATE, cls: SUCCESS, transactionId: crypto.randomBytes(12), attributes: [] }, key);
+
+    const message = decodeMessage(buffer);
+    const integrity = message.attributes.find(attribute => attribute.type === ATTRIBUTES.MESSAGE_INTEGRITY);
+    const signed = Buffer.from(buffer.subarray(0, integrity.offset));
+    signed.writeUInt16BE(integrity.offset + 24 - 20, 2);
+    assert.deepEqual(integrity.value, crypto.createHmac('sha1', key).update(signed).digest());
+});
+
+test('anything that is not a complete STUN message decodes to null', () => {
+    const buffer = encodeMessage({ method: METHODS.BINDING, cls: REQUEST, transactionId: crypto.randomBytes(12), attributes: [] });
+
+    assert.equal(decodeMessage(buffer.subarray(0, 19)), null);
+    assert.equal(decodeMessage(buffer.subarray(0, buffer.length - 4)), null);
+
+    const noCookie = Buffer.from(buffer);
+    noCookie.writeUInt32BE(0, 4);
+    assert.equal(decodeMessage(noCookie), null);
+
+    // ChannelData starts with 0b01
+    const channelData = Buffer.from(buffer);
+    channelData[0] = 0x40;
+    assert.equal(decodeMessage(channelData), null);
+
+    const overrun = Buffer.from(buffer);
+    overrun.writeUInt16BE(0xfff0, 22);
+    assert.equal(decodeMessage(overrun), null);
+});
+
+test('parseCidr reads networks and bare addresses', () => {
+    assert.deepEqual(parseCidr('10.1.2.3/8'), { base: 0x0a000000, mask: 0xff000000 });
+    assert.deepEqual(parseCidr(' 192.168.1.5 '), { base: 0xc0a80105, mask: 0xffffffff });
+    assert.deepEqual(parseCidr('0.0.0.0/0'), { base: 0, mask: 0 });
+    for (const invalid of ['10.0.0.0/33', '10.0.0/8', '256.0.0.0/8', '10.0.0.0/x', 'example.com']) {
+        assert.throws(() => parseCidr(invalid), /Invalid IPv4 network/, invalid);
+    }
+});
+
+test('peers on public addresses may be relayed to', () => {
+    assert.equal(isForbiddenPeer('203.0.113.7'), false);
+    assert.equal(isForbiddenPeer('8.8.8.8'), false);
+    assert.equal(isForbiddenPeer('172.32.0.1'), false);
+});
+
+test('loopback, multicast, reserved and internal peers are refused', () => {
+    for (const address of ['127.0.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255', '10.0.0.5', '172.16.0.1',
+        '192.168.1.1', '169.254.169.254', '100.64.0.1', '198.18.0.1', 'not-an-ip', '::1']) {
+        assert.equal(isForbiddenPeer(address), true, address);
+    }
+});
+
+test('allow-listed internal networks may be relayed to, reserved ones never', () => {
+    const options = { allowedNetworks: ['10.20.0.0/16', '127.0.0.0/8'].map(parseCidr) };
+
+    assert.equal(isForbiddenPeer('10.20.1.1', options), false);
+    assert.equal(isForbiddenPeer('10.21.1.1', options), true);
+    assert.equal(isForbiddenPeer('127.0.0.1', options), true);
+});
+
+test('the server\'s own addresses are refused', () => {
+    assert.equal(isForbiddenPeer('203.0.113.7', { ownAddresses: ['203.0.113.7'] }), true);
+});
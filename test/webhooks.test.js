@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const CryptoUtils = require('../crypto-utils');
+const { PING_EVENT, WebhookDispatcher } = require('../webhooks');
+const { MemoryRoomStore } = require('../room-store');
+
+/**
+ * Local receiver answering with the given status codes in turn (the last one
+ * repeats) and keeping every request it got
+ */
+async function startReceiver(t, statusCodes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests };
+}
+
+// Wait until the delivery has stopped retrying
+async function settled(dispatcher, webhookId) {
+    for (let i = 0; i < 200; i++) {
+        const [delivery] = await dispatcher.listDeliveries(webhookId);
+        if (delivery && (delivery.status === 'delivered' || delivery.status === 'failed')) {
+            return delivery;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Delivery did not settle');
+}
+
+function createDispatcher(options = {}) {
+    return new WebhookDispatcher(new MemoryRoomStore(), new CryptoUtils(), { retryBaseMs: 20, ...options });
+}
+
+test('events are POSTed with an HMAC signature over timestamp and body', async (t) => {
+    const receiver = await startReceiver(t, [204]);
+    const dispatcher = createDispatcher();
+    const subscription = await dispatcher.createSubscription({ url: receiver.url, secret: 'hook secret' });
+
+    dispatcher.dispatch('room.created', { roomId: 'room-1' });
+    const delivery = await settled(dispatcher, subscription.id);
+
+    assert.equal(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    const expected = crypto.createHmac('sha256', 'hook secret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'room.created');
+    assert.equal(headers['x-webhook-id'], delivery.id);
+    assert.deepEqual(JSON.parse(body).data, { roomId: 'room-1' });
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.statusCode, 204);
+    assert.equal(delivery.attempts, 1);
+});
+
+test('server errors are retried with a growing delay', async (t) => {
+    const receiver = await startReceiver(t, [503, 500, 200]);
+    const dispatcher = createDispatcher();
+    const subscription = await dispatcher.createSubscription({ url: receiver.url });
+
+    await dispatcher.ping(subscription.id);
+    const delivery = await settled(dispatcher, subscription.id);
+
+    assert.equal(receiver.requests.length, 3);
+    assert.ok(receiver.requests.every(request => request.headers['x-webhook-event'] === PING_EVENT));
+    assert.ok(receiver.requests[1].at - receiver.requests[0].at >= 20);
+    assert.ok(receiver.requests[2].at - receiver.requests[1].at >= 40);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.error, null);
+});
+
+test('delivery gives up after the last attempt', async (t) => {
+    const receiver = await startReceiver(t, [502]);
+    const dispatcher = createDispatcher({ maxAttempts: 3 });
+    const subscription = await dispatcher.createSubscription({ url: receiver.url });
+
+    await dispatcher.ping(subscription.id);
+    const delivery = await settled(dispatcher, subscription.id);
+
+    assert.equal(receiver.requests.length, 3);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.statusCode, 502);
+    assert.equal(delivery.error, 'HTTP 502');
+    assert.equal(delivery.nextAttemptAt, null);
+});
+
+test('client errors are not retried', async (t) => {
+    const receiver = await startReceiver(t, [404]);
+    const dispatcher = createDispatcher();
+    const subscription = await dispatcher.createSubscription({ url: receiver.url });
+
+    await dispatcher.ping(subscription.id);
+    const delivery = await settled(dispatcher, subscription.id);
+
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(delivery.status, 'failed');
+});
+
+test('a ping is logged as pending before its first attempt', async (t) => {
+    const receiver = await startReceiver(t, [200]);
+    const dispatcher = createDispatcher();
+    const subscription = await dispatcher.createSubscription({ url: receiver.url });
+
+    const recorded = await dispatcher.ping(subscription.id);
+    assert.equal(recorded.status, 'pending');
+    assert.equal(recorded.attempts, 0);
+    assert.equal(recorded.event, PING_EVENT);
+
+    await settled(dispatcher, subscription.id);
+    const deliveries = await dispatcher.listDeliveries(subscription.id);
+    assert.deepEqual(deliveries.map(delivery => [delivery.id, delivery.status]), [[recorded.id, 'delivered']]);
+    assert.equal(await dispatcher.ping('missing'), null);
+});
+
+test('only subscribed events are delivered and secrets are not listed', async (t) => {
+    const receiver = await startReceiver(t, [200]);
+    const dispatcher = createDispatcher();
+    const subscription = await dispatcher.createSubscription({ url: receiver.url, events: ['room.deleted'] });
+
+    dispatcher.dispatch('room.created', { roomId: 'room-1' });
+    dispatcher.dispatch('room.deleted', { roomId: 'room-1' });
+    await settled(dispatcher, subscription.id);
+
+    assert.deepEqual(receiver.requests.map(request => request.headers['x-webhook-event']), ['room.deleted']);
+    assert.equal((await dispatcher.listSubscriptions())[0].secret, undefined);
+});
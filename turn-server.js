@@ -0,0 +1,1116 @@
+// Built-in STUN/TURN relay for deployments that can't run a separate coturn.
+// One port answers STUN Binding requests and TURN (RFC 5766) over both UDP and
+// TCP: Allocate, Refresh, CreatePermission, ChannelBind, Send/Data indications
+// and ChannelData. Clients authenticate with the ephemeral TURN REST
+// credentials served at GET /api/ice-servers (see ice-servers.js), checked
+// with the long-term credential mechanism of RFC 5389. Relayed addresses are
+// UDP over IPv4.
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const { turnPassword } = require('./ice-servers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('turn');
+
+const MAGIC_COOKIE = 0x2112a442;
+const HEADER_LENGTH = 20;
+const FINGERPRINT_XOR = 0x5354554e;
+const SOFTWARE = 'quic-rtc-meet';
+
+const CLASSES = { REQUEST: 0, INDICATION: 1, SUCCESS: 2, ERROR: 3 };
+
+const METHODS = {
+    BINDING: 0x001,
+    ALLOCATE: 0x003,
+    REFRESH: 0x004,
+    SEND: 0x006,
+    DATA: 0x007,
+    CREATE_PERMISSION: 0x008,
+    CHANNEL_BIND: 0x009
+};
+
+const ATTRIBUTES = {
+    MAPPED_ADDRESS: 0x0001,
+    USERNAME: 0x0006,
+    MESSAGE_INTEGRITY: 0x0008,
+    ERROR_CODE: 0x0009,
+    UNKNOWN_ATTRIBUTES: 0x000a,
+    CHANNEL_NUMBER: 0x000c,
+    LIFETIME: 0x000d,
+    XOR_PEER_ADDRESS: 0x0012,
+    DATA: 0x0013,
+    REALM: 0x0014,
+    NONCE: 0x0015,
+    XOR_RELAYED_ADDRESS: 0x0016,
+    REQUESTED_ADDRESS_FAMILY: 0x0017,
+    REQUESTED_TRANSPORT: 0x0019,
+    XOR_MAPPED_ADDRESS: 0x0020,
+    SOFTWARE: 0x8022,
+    FINGERPRINT: 0x8028
+};
+
+// Comprehension-required attributes we act on; any other one below 0x8000
+// gets a 420 (EVEN-PORT, RESERVATION-TOKEN and DONT-FRAGMENT are not supported)
+const KNOWN_ATTRIBUTES = new Set([
+    ATTRIBUTES.MAPPED_ADDRESS, ATTRIBUTES.USERNAME, ATTRIBUTES.MESSAGE_INTEGRITY, ATTRIBUTES.ERROR_CODE,
+    ATTRIBUTES.UNKNOWN_ATTRIBUTES, ATTRIBUTES.CHANNEL_NUMBER, ATTRIBUTES.LIFETIME, ATTRIBUTES.XOR_PEER_ADDRESS,
+    ATTRIBUTES.DATA, ATTRIBUTES.REALM, ATTRIBUTES.NONCE, ATTRIBUTES.XOR_RELAYED_ADDRESS,
+    ATTRIBUTES.REQUESTED_ADDRESS_FAMILY, ATTRIBUTES.REQUESTED_TRANSPORT, ATTRIBUTES.XOR_MAPPED_ADDRESS
+]);
+
+const ERROR_REASONS = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    420: 'Unknown Attribute',
+    437: 'Allocation Mismatch',
+    438: 'Stale Nonce',
+    440: 'Address Family not Supported',
+    441: 'Wrong Credentials',
+    442: 'Unsupported Transport Protocol',
+    443: 'Peer Address Family Mismatch',
+    486: 'Allocation Quota Reached',
+    508: 'Insufficient Capacity'
+};
+
+// Lifetimes in seconds (RFC 5766 defaults)
+const DEFAULT_ALLOCATION_LIFETIME = 600;
+const MAX_ALLOCATION_LIFETIME = 3600;
+const PERMISSION_LIFETIME = 300;
+const CHANNEL_LIFETIME = 600;
+const NONCE_LIFETIME = 3600;
+
+const UDP_PROTOCOL = 17;
+const MIN_CHANNEL = 0x4000;
+const MAX_CHANNEL = 0x7ffe;
+const RELAY_BIND_ATTEMPTS = 20;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by the STUN FINGERPRINT attribute
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Parse a STUN message
+ * @param {Buffer} buffer - One complete message
+ * @returns {Object|null} { method, cls, transactionId, attributes, raw }, or null if it isn't STUN
+ */
+function decodeMessage(buffer) {
+    if (buffer.length < HEADER_LENGTH || (buffer[0] & 0xc0) !== 0 || buffer.readUInt32BE(4) !== MAGIC_COOKIE) {
+        return null;
+    }
+    const length = buffer.readUInt16BE(2);
+    if (length % 4 !== 0 || HEADER_LENGTH + length !== buffer.length) {
+        return null;
+    }
+
+    const type = buffer.readUInt16BE(0);
+    const attributes = [];
+    let offset = HEADER_LENGTH;
+    while (offset + 4 <= buffer.length) {
+        const attributeType = buffer.readUInt16BE(offset);
+        const attributeLength = buffer.readUInt16BE(offset + 2);
+        if (offset + 4 + attributeLength > buffer.length) {
+            return null;
+        }
+        attributes.push({ type: attributeType, value: buffer.subarray(offset + 4, offset + 4 + attributeLength), offset });
+        offset += 4 + Math.ceil(attributeLength / 4) * 4;
+    }
+
+    return {
+        method: (type & 0x000f) | ((type & 0x00e0) >> 1) | ((type & 0x3e00) >> 2),
+        cls: ((type & 0x0100) >> 7) | ((type & 0x0010) >> 4),
+        transactionId: buffer.subarray(8, HEADER_LENGTH),
+        attributes,
+        raw: buffer
+    };
+}
+
+/**
+ * Build a STUN message, signed with MESSAGE-INTEGRITY when a key is given and
+ * always ending in FINGERPRINT
+ * @param {Object} message - { method, cls, transactionId, attributes: [[type, Buffer]] }
+ * @param {Buffer} integrityKey - Long-term credential key, or null
+ * @returns {Buffer} Encoded message
+ */
+function encodeMessage({ method, cls, transactionId, attributes }, integrityKey = null) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt16BE(
+        (method & 0x000f) | ((method & 0x0070) << 1) | ((method & 0x0f80) << 2) |
+        ((cls & 0x2) << 7) | ((cls & 0x1) << 4),
+        0
+    );
+    header.writeUInt32BE(MAGIC_COOKIE, 4);
+    transactionId.copy(header, 8);
+
+    const parts = [header];
+    let length = 0;
+    const append = (type, value) => {
+        const attribute = Buffer.alloc(4 + Math.ceil(value.length / 4) * 4);
+        attribute.writeUInt16BE(type, 0);
+        attribute.writeUInt16BE(value.length, 2);
+        value.copy(attribute, 4);
+        parts.push(attribute);
+        length += attribute.length;
+    };
+
+    attributes.forEach(([type, value]) => append(type, value));
+    append(ATTRIBUTES.SOFTWARE, Buffer.from(SOFTWARE));
+
+    // Both trailers are computed over the message with its length already
+    // counting the trailer itself
+    if (integrityKey) {
+        header.writeUInt16BE(length + 24, 2);
+        append(ATTRIBUTES.MESSAGE_INTEGRITY,
+            crypto.createHmac('sha1', integrityKey).update(Buffer.concat(parts)).digest());
+    }
+    header.writeUInt16BE(length + 8, 2);
+    const fingerprint = Buffer.alloc(4);
+    fingerprint.writeUInt32BE((crc32(Buffer.concat(parts)) ^ FINGERPRINT_XOR) >>> 0, 0);
+    append(ATTRIBUTES.FINGERPRINT, fingerprint);
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * First value of an attribute
+ * @param {Object} message - Decoded message
+ * @param {number} type - One of ATTRIBUTES
+ * @returns {Buffer|undefined} Attribute value
+ */
+function getAttribute(message, type) {
+    const attribute = message.attributes.find(candidate => candidate.type === type);
+    return attribute && attribute.value;
+}
+
+/**
+ * Encode an IPv4 transport address XORed with the magic cookie
+ * @param {string} address - IPv4 address
+ * @param {number} port - Port
+ * @returns {Buffer} XOR-*-ADDRESS value
+ */
+function encodeXorAddress(address, port) {
+    const value = Buffer.alloc(8);
+    value.writeUInt8(0x01, 1);
+    value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+    const ip = address.split('.').reduce((sum, octet) => sum * 256 + parseInt(octet, 10), 0);
+    value.writeUInt32BE((ip ^ MAGIC_COOKIE) >>> 0, 4);
+    return value;
+}
+
+/**
+ * Decode an XOR-*-ADDRESS value
+ * @param {Buffer} value - Attribute value
+ * @returns {Object|null} { family, address, port }; IPv6 comes back without
+ * address and port since we only relay IPv4
+ */
+function decodeXorAddress(value) {
+    if (!value || value.length < 8) {
+        return null;
+    }
+    if (value[1] === 0x02) {
+        return { family: 6 };
+    }
+    if (value[1] !== 0x01) {
+        return null;
+    }
+    const ip = (value.readUInt32BE(4) ^ MAGIC_COOKIE) >>> 0;
+    return {
+        family: 4,
+        address: [ip >>> 24, (ip >>> 16) & 0xff, (ip >>> 8) & 0xff, ip & 0xff].join('.'),
+        port: value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16)
+    };
+}
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} address - IPv4 address
+ * @returns {number|null} Address as an unsigned 32-bit integer, or null if malformed
+ */
+function parseIpv4(address) {
+    const octets = String(address).split('.');
+    if (octets.length !== 4 || !octets.every(octet => /^\d{1,3}$/.test(octet) && parseInt(octet, 10) <= 255)) {
+        return null;
+    }
+    return octets.reduce((sum, octet) => sum * 256 + parseInt(octet, 10), 0);
+}
+
+/**
+ * Parse an IPv4 network in CIDR notation; a bare address is a /32
+ * @param {string} cidr - e.g. '10.0.0.0/8'
+ * @returns {Object} { base, mask } as unsigned 32-bit integers
+ */
+function parseCidr(cidr) {
+    const [address, bits = '32'] = cidr.trim().split('/');
+    const base = parseIpv4(address);
+    const prefix = parseInt(bits, 10);
+    if (base === null || !/^\d+$/.test(bits) || prefix > 32) {
+        throw new Error(`Invalid IPv4 network: ${cidr}`);
+    }
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return { base: (base & mask) >>> 0, mask };
+}
+
+/**
+ * Whether an address lies in a network
+ * @param {number} ip - Address from parseIpv4
+ * @param {Object} network - Network from parseCidr
+ * @returns {boolean} True when inside
+ */
+function inNetwork(ip, network) {
+    return ((ip & network.mask) >>> 0) === network.base;
+}
+
+// Never relayed to: unspecified, loopback, multicast, reserved and broadcast
+const RESERVED_NETWORKS = ['0.0.0.0/8', '127.0.0.0/8', '224.0.0.0/3'].map(parseCidr);
+
+// Only relayed to when allow-listed: private, shared (CGNAT), link-local,
+// IETF protocol assignments and benchmarking networks, so the relay can't be
+// used to reach the server's own network
+const INTERNAL_NETWORKS = [
+    '10.0.0.0/8',
+    '100.64.0.0/10',
+    '169.254.0.0/16',
+    '172.16.0.0/12',
+    '192.0.0.0/24',
+    '192.168.0.0/16',
+    '198.18.0.0/15'
+].map(parseCidr);
+
+/**
+ * Whether a peer address must not be relayed to
+ * @param {string} address - IPv4 address
+ * @param {Object} options
+ * @param {Object[]} options.allowedNetworks - Internal networks peers may be on (from parseCidr)
+ * @param {string[]} options.ownAddresses - This server's addresses, never relayed to
+ * @returns {boolean} True when forbidden
+ */
+function isForbiddenPeer(address, { allowedNetworks = [], ownAddresses = [] } = {}) {
+    const ip = parseIpv4(address);
+    if (ip === null || ownAddresses.includes(address) || RESERVED_NETWORKS.some(network => inNetwork(ip, network))) {
+        return true;
+    }
+    return INTERNAL_NETWORKS.some(network => inNetwork(ip, network)) &&
+        !allowedNetworks.some(network => inNetwork(ip, network));
+}
+
+/**
+ * Every IPv4 address of this machine's interfaces
+ * @returns {string[]} Addresses
+ */
+function localAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(candidate => candidate.family === 'IPv4')
+        .map(candidate => candidate.address);
+}
+
+/**
+ * Guess the address clients reach this machine at: the first external IPv4
+ * @returns {string} IPv4 address
+ */
+function detectExternalIp() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        const external = addresses.find(candidate => candidate.family === 'IPv4' && !candidate.internal);
+        if (external) {
+            return external.address;
+        }
+    }
+    return '127.0.0.1';
+}
+
+/**
+ * STUN/TURN server on one UDP and one TCP port
+ */
+class TurnServer {
+    /**
+     * @param {Object} options
+     * @param {number} options.port - UDP and TCP listening port
+     * @param {string} options.host - Listening address
+     * @param {string} options.externalIp - Address clients and peers reach us at
+     * @param {string} options.realm - Long-term credential realm
+     * @param {string} options.secret - Shared secret behind the TURN REST credentials
+     * @param {number[]} options.relayPortRange - [min, max] UDP ports for relayed addresses
+     * @param {number} options.maxAllocations - Allocations served at once
+     * @param {string[]} options.allowedPeers - Internal networks (CIDR) peers may be on, e.g. ['10.0.0.0/8']
+     */
+    constructor({
+        port,
+        host = '0.0.0.0',
+        externalIp = detectExternalIp(),
+        realm,
+        secret,
+        relayPortRange,
+        maxAllocations = 1000,
+        allowedPeers = []
+    }) {
+        if (!secret) {
+            throw new Error('The built-in TURN server needs a shared secret');
+        }
+        const [minPort, maxPort] = relayPortRange;
+        if (!(minPort > 0 && maxPort <= 65535 && minPort <= maxPort)) {
+            throw new Error(`Invalid TURN relay port range: ${relayPortRange.join('-')}`);
+        }
+
+        this.port = port;
+        this.host = host;
+        this.externalIp = externalIp;
+        this.realm = realm;
+        this.secret = secret;
+        this.relayPortRange = relayPortRange;
+        this.maxAllocations = maxAllocations;
+        this.allowedNetworks = allowedPeers.map(parseCidr);
+        this.ownAddresses = Array.from(new Set([externalIp, host, ...localAddresses()]));
+        this.nonceKey = crypto.randomBytes(32);
+
+        this.udpSocket = null;
+        this.tcpServer = null;
+        this.tcpConnections = new Set();
+        this.allocations = new Map(); // Client 5-tuple key -> allocation
+        this.pendingAllocations = new Set(); // 5-tuples whose relay socket is being bound
+    }
+
+    /**
+     * ICE server URLs pointing at this server
+     * @returns {Object} { stun: string[], turn: string[] }
+     */
+    urls() {
+        const hostPort = `${this.externalIp}:${this.port}`;
+        return {
+            stun: [`stun:${hostPort}`],
+            turn: [`turn:${hostPort}?transport=udp`, `turn:${hostPort}?transport=tcp`]
+        };
+    }
+
+    /**
+     * Start listening on UDP and TCP
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.udpSocket = dgram.createSocket('udp4');
+        this.udpSocket.on('message', (buffer, rinfo) => {
+            this.handlePacket(buffer, {
+                transport: 'udp',
+                address: rinfo.address,
+                port: rinfo.port,
+                key: `udp:${rinfo.address}:${rinfo.port}`,
+                send: data => this.udpSocket.send(data, rinfo.port, rinfo.address)
+            });
+        });
+        this.udpSocket.on('error', error => log.error('TURN UDP socket error', error));
+
+        this.tcpServer = net.createServer(socket => this.handleTcpConnection(socket));
+        this.tcpServer.on('error', error => log.error('TURN TCP server error', error));
+
+        await Promise.all([
+            new Promise((resolve, reject) => {
+                this.udpSocket.once('error', reject);
+                this.udpSocket.bind(this.port, this.host, resolve);
+            }),
+            new Promise((resolve, reject) => {
+                this.tcpServer.once('error', reject);
+                this.tcpServer.listen(this.port, this.host, resolve);
+            })
+        ]);
+        log.info('STUN/TURN server running', {
+            port: this.port,
+            externalIp: this.externalIp,
+            relayPorts: this.relayPortRange.join('-')
+        });
+    }
+
+    /**
+     * Close every allocation and stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.allocations.forEach(allocation => this.deleteAllocation(allocation, 'shutdown'));
+        this.tcpConnections.forEach(socket => socket.destroy());
+        await Promise.all([
+            this.udpSocket && new Promise(resolve => this.udpSocket.close(resolve)),
+            this.tcpServer && new Promise(resolve => this.tcpServer.close(resolve))
+        ]);
+        this.udpSocket = null;
+        this.tcpServer = null;
+        log.info('STUN/TURN server stopped');
+    }
+
+    /**
+     * Read STUN messages and ChannelData frames off a TCP stream
+     * @param {net.Socket} socket - Client connection
+     */
+    handleTcpConnection(socket) {
+        const address = socket.remoteAddress.replace(/^::ffff:/, '');
+        const client = {
+            transport: 'tcp',
+            address,
+            port: socket.remotePort,
+            key: `tcp:${address}:${socket.remotePort}`,
+            send: data => socket.write(data),
+            closed: false
+        };
+        let pending = Buffer.alloc(0);
+
+        this.tcpConnections.add(socket);
+        socket.on('data', chunk => {
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length >= 4) {
+                let frameLength;
+                if ((pending[0] & 0xc0) === 0) {
+                    frameLength = HEADER_LENGTH + pending.readUInt16BE(2);
+                } else if ((pending[0] & 0xc0) === 0x40) {
+                    // ChannelData is padded to a multiple of four over streams
+                    frameLength = 4 + Math.ceil(pending.readUInt16BE(2) / 4) * 4;
+                } else {
+                    log.debug('Dropping TCP client sending garbage', { client: client.key });
+                    socket.destroy();
+                    return;
+                }
+                if (pending.length < frameLength) {
+                    break;
+                }
+                this.handlePacket(pending.subarray(0, frameLength), client);
+                pending = pending.subarray(frameLength);
+            }
+        });
+        socket.on('error', error => log.debug('TURN TCP connection error', { client: client.key, error }));
+        socket.on('close', () => {
+            client.closed = true;
+            this.tcpConnections.delete(socket);
+            const allocation = this.allocations.get(client.key);
+            if (allocation) {
+                this.deleteAllocation(allocation, 'connection-closed');
+            }
+        });
+    }
+
+    /**
+     * Dispatch one datagram or TCP frame
+     * @param {Buffer} buffer - STUN message or ChannelData
+     * @param {Object} client - { transport, address, port, key, send }
+     */
+    handlePacket(buffer, client) {
+        if (buffer.length >= 4 && (buffer[0] & 0xc0) === 0x40) {
+            try {
+                this.handleChannelData(buffer, client);
+            } catch (error) {
+                log.error('Failed to relay ChannelData', { client: client.key, error });
+            }
+            return;
+        }
+
+        const message = decodeMessage(buffer);
+        if (!message) {
+            return;
+        }
+        try {
+            this.handleMessage(message, client);
+        } catch (error) {
+            log.error('Failed to handle STUN message', { client: client.key, method: message.method, error });
+        }
+    }
+
+    /**
+     * Answer a STUN request or act on an indication
+     * @param {Object} message - Decoded message
+     * @param {Object} client - Sender
+     */
+    handleMessage(message, client) {
+        if (message.cls === CLASSES.INDICATION) {
+            if (message.method === METHODS.SEND) {
+                this.handleSendIndication(message, client);
+            }
+            return;
+        }
+        if (message.cls !== CLASSES.REQUEST) {
+            return;
+        }
+
+        const unknown = message.attributes
+            .map(attribute => attribute.type)
+            .filter(type => type < 0x8000 && !KNOWN_ATTRIBUTES.has(type));
+        if (unknown.length > 0) {
+            const value = Buffer.alloc(unknown.length * 2);
+            unknown.forEach((type, i) => value.writeUInt16BE(type, i * 2));
+            this.sendError(message, client, 420, null, [[ATTRIBUTES.UNKNOWN_ATTRIBUTES, value]]);
+            return;
+        }
+
+        if (message.method === METHODS.BINDING) {
+            this.sendSuccess(message, client, null, [
+                [ATTRIBUTES.XOR_MAPPED_ADDRESS, encodeXorAddress(client.address, client.port)]
+            ]);
+            return;
+        }
+
+        const handlers = {
+            [METHODS.ALLOCATE]: this.handleAllocate,
+            [METHODS.REFRESH]: this.handleRefresh,
+            [METHODS.CREATE_PERMISSION]: this.handleCreatePermission,
+            [METHODS.CHANNEL_BIND]: this.handleChannelBind
+        };
+        const handler = handlers[message.method];
+        if (!handler) {
+            this.sendError(message, client, 400);
+            return;
+        }
+
+        const credentials = this.authenticate(message, client);
+        if (!credentials) {
+            return;
+        }
+
+        if (message.method !== METHODS.ALLOCATE) {
+            const allocation = this.allocations.get(client.key);
+            if (!allocation) {
+                this.sendError(message, client, 437, credentials.key);
+                return;
+            }
+            if (allocation.username !== credentials.username) {
+                this.sendError(message, client, 441, credentials.key);
+                return;
+            }
+            handler.call(this, message, client, credentials, allocation);
+            return;
+        }
+        handler.call(this, message, client, credentials);
+    }
+
+    /**
+     * Check a request's long-term credentials, answering 400/401/438 when they
+     * don't hold up
+     * @param {Object} message - Decoded request
+     * @param {Object} client - Sender
+     * @returns {Object|null} { username, key } or null when an error was sent
+     */
+    authenticate(message, client) {
+        const integrity = message.attributes.find(attribute => attribute.type === ATTRIBUTES.MESSAGE_INTEGRITY);
+        if (!integrity) {
+            this.sendChallenge(message, client, 401);
+            return null;
+        }
+
+        const username = getAttribute(message, ATTRIBUTES.USERNAME);
+        const realm = getAttribute(message, ATTRIBUTES.REALM);
+        const nonce = getAttribute(message, ATTRIBUTES.NONCE);
+        if (!username || !realm || !nonce || integrity.value.length !== 20) {
+            this.sendError(message, client, 400);
+            return null;
+        }
+        if (!this.isValidNonce(nonce.toString())) {
+            this.sendChallenge(message, client, 438);
+            return null;
+        }
+
+        // TURN REST usernames are `<expiry unix time>:<user id>`
+        const name = username.toString();
+        const expiresAt = parseInt(name.split(':')[0], 10);
+        if (!(expiresAt * 1000 > Date.now()) || realm.toString() !== this.realm) {
+            this.sendChallenge(message, client, 401);
+            return null;
+        }
+
+        const key = crypto.createHash('md5')
+            .update(`${name}:${this.realm}:${turnPassword(this.secret, name)}`)
+            .digest();
+        const signed = Buffer.from(message.raw.subarray(0, integrity.offset));
+        signed.writeUInt16BE(integrity.offset - HEADER_LENGTH + 24, 2);
+        const expected = crypto.createHmac('sha1', key).update(signed).digest();
+        if (!crypto.timingSafeEqual(expected, integrity.value)) {
+            log.debug('TURN request with a bad message integrity', { client: client.key, username: name });
+            this.sendChallenge(message, client, 401);
+            return null;
+        }
+
+        return { username: name, key };
+    }
+
+    /**
+     * Allocate a relayed transport address for the client
+     * @param {Object} message - Allocate request
+     * @param {Object} client - Sender
+     * @param {Object} credentials - { username, key }
+     */
+    handleAllocate(message, client, credentials) {
+        const existing = this.allocations.get(client.key);
+        if (existing) {
+            // A retransmitted request gets the original answer
+            if (existing.transactionId.equals(message.transactionId)) {
+                client.send(existing.response);
+            } else {
+                this.sendError(message, client, 437, credentials.key);
+            }
+            return;
+        }
+        if (this.pendingAllocations.has(client.key)) {
+            return; // The client will retransmit once we're done
+        }
+
+        const transport = getAttribute(message, ATTRIBUTES.REQUESTED_TRANSPORT);
+        if (!transport || transport.length < 1) {
+            this.sendError(message, client, 400, credentials.key);
+            return;
+        }
+        if (transport[0] !== UDP_PROTOCOL) {
+            this.sendError(message, client, 442, credentials.key);
+            return;
+        }
+        const family = getAttribute(message, ATTRIBUTES.REQUESTED_ADDRESS_FAMILY);
+        if (family && family[0] !== 0x01) {
+            this.sendError(message, client, 440, credentials.key);
+            return;
+        }
+        if (this.allocations.size + this.pendingAllocations.size >= this.maxAllocations) {
+            this.sendError(message, client, 486, credentials.key);
+            return;
+        }
+
+        this.pendingAllocations.add(client.key);
+        this.bindRelaySocket().then(relaySocket => {
+            this.pendingAllocations.delete(client.key);
+            if (!relaySocket) {
+                this.sendError(message, client, 508, credentials.key);
+                return;
+            }
+            if (client.closed) {
+                relaySocket.close();
+                return;
+            }
+
+            const allocation = {
+                client,
+                username: credentials.username,
+                key: credentials.key,
+                relaySocket,
+                relayPort: relaySocket.address().port,
+                transactionId: Buffer.from(message.transactionId),
+                response: null,
+                permissions: new Map(), // Peer IP -> expiry (ms)
+                channels: new Map(), // Channel number -> { address, port, expiresAt }
+                timer: null
+            };
+            relaySocket.on('message', (data, rinfo) => this.relayToClient(allocation, data, rinfo));
+            relaySocket.on('error', error => log.warn('TURN relay socket error', { client: client.key, error }));
+
+            const lifetime = this.refreshAllocation(allocation, message);
+            this.allocations.set(client.key, allocation);
+            allocation.response = this.sendSuccess(message, client, credentials.key, [
+                [ATTRIBUTES.XOR_RELAYED_ADDRESS, encodeXorAddress(this.externalIp, allocation.relayPort)],
+                [ATTRIBUTES.LIFETIME, uint32(lifetime)],
+                [ATTRIBUTES.XOR_MAPPED_ADDRESS, encodeXorAddress(client.address, client.port)]
+            ]);
+            log.info('TURN allocation created', {
+                client: client.key,
+                username: credentials.username,
+                relayPort: allocation.relayPort,
+                lifetime
+            });
+        }).catch(error => {
+            this.pendingAllocations.delete(client.key);
+            log.error('Failed to create TURN allocation', { client: client.key, error });
+            if (!client.closed) {
+                this.sendError(message, client, 508, credentials.key);
+            }
+        });
+    }
+
+    /**
+     * Extend an allocation, or delete it when the client asks for lifetime 0
+     * @param {Object} message - Refresh request
+     * @param {Object} client - Sender
+     * @param {Object} credentials - { username, key }
+     * @param {Object} allocation - Client's allocation
+     */
+    handleRefresh(message, client, credentials, allocation) {
+        const lifetime = this.refreshAllocation(allocation, message);
+        if (lifetime === 0) {
+            this.deleteAllocation(allocation, 'released');
+        }
+        this.sendSuccess(message, client, credentials.key, [[ATTRIBUTES.LIFETIME, uint32(lifetime)]]);
+    }
+
+    /**
+     * Let peers at the given IPs send to the relayed address
+     * @param {Object} message - CreatePermission request
+     * @param {Object} client - Sender
+     * @param {Object} credentials - { username, key }
+     * @param {Object} allocation - Client's allocation
+     */
+    handleCreatePermission(message, client, credentials, allocation) {
+        const peers = message.attributes
+            .filter(attribute => attribute.type === ATTRIBUTES.XOR_PEER_ADDRESS)
+            .map(attribute => decodeXorAddress(attribute.value));
+        if (peers.length === 0 || peers.includes(null) || peers.some(peer => peer.port === 0)) {
+            this.sendError(message, client, 400, credentials.key);
+            return;
+        }
+        if (peers.some(peer => peer.family !== 4)) {
+            this.sendError(message, client, 443, credentials.key);
+            return;
+        }
+        if (peers.some(peer => this.isForbiddenPeer(peer.address))) {
+            this.sendError(message, client, 403, credentials.key);
+            return;
+        }
+
+        const expiresAt = Date.now() + PERMISSION_LIFETIME * 1000;
+        peers.forEach(peer => allocation.permissions.set(peer.address, expiresAt));
+        this.sendSuccess(message, client, credentials.key);
+    }
+
+    /**
+     * Whether this server refuses to relay to a peer address
+     * @param {string} address - IPv4 address
+     * @returns {boolean} True when forbidden
+     */
+    isForbiddenPeer(address) {
+        return isForbiddenPeer(address, { allowedNetworks: this.allowedNetworks, ownAddresses: this.ownAddresses });
+    }
+
+    /**
+     * Bind a channel number to a peer so data can flow as 4-byte-header ChannelData
+     * @param {Object} message - ChannelBind request
+     * @param {Object} client - Sender
+     * @param {Object} credentials - { username, key }
+     * @param {Object} allocation - Client's allocation
+     */
+    handleChannelBind(message, client, credentials, allocation) {
+        const number = getAttribute(message, ATTRIBUTES.CHANNEL_NUMBER);
+        const peer = decodeXorAddress(getAttribute(message, ATTRIBUTES.XOR_PEER_ADDRESS));
+        const channel = number && number.length >= 2 ? number.readUInt16BE(0) : 0;
+        // Port 0 can't be sent to; dgram throws on it
+        if (!peer || peer.port === 0 || channel < MIN_CHANNEL || channel > MAX_CHANNEL) {
+            this.sendError(message, client, 400, credentials.key);
+            return;
+        }
+        if (peer.family !== 4) {
+            this.sendError(message, client, 443, credentials.key);
+            return;
+        }
+        if (this.isForbiddenPeer(peer.address)) {
+            this.sendError(message, client, 403, credentials.key);
+            return;
+        }
+
+        // A channel stays with its peer and a peer with its channel until the binding lapses
+        const now = Date.now();
+        const bound = allocation.channels.get(channel);
+        const peerChannel = this.findChannel(allocation, peer.address, peer.port);
+        if ((bound && bound.expiresAt > now && (bound.address !== peer.address || bound.port !== peer.port)) ||
+            (peerChannel !== null && peerChannel !== channel)) {
+            this.sendError(message, client, 400, credentials.key);
+            return;
+        }
+
+        allocation.channels.set(channel, { address: peer.address, port: peer.port, expiresAt: now + CHANNEL_LIFETIME * 1000 });
+        allocation.permissions.set(peer.address, Math.max(
+            allocation.permissions.get(peer.address) || 0,
+            now + PERMISSION_LIFETIME * 1000
+        ));
+        this.sendSuccess(message, client, credentials.key);
+    }
+
+    /**
+     * Relay the data of a Send indication to its peer
+     * @param {Object} message - Send indication
+     * @param {Object} client - Sender
+     */
+    handleSendIndication(message, client) {
+        const allocation = this.allocations.get(client.key);
+        const peer = decodeXorAddress(getAttribute(message, ATTRIBUTES.XOR_PEER_ADDRESS));
+        const data = getAttribute(message, ATTRIBUTES.DATA);
+        if (allocation && peer && peer.family === 4 && peer.port !== 0 && data && this.hasPermission(allocation, peer.address)) {
+            allocation.relaySocket.send(data, peer.port, peer.address);
+        }
+    }
+
+    /**
+     * Relay a ChannelData frame from the client to the channel's peer
+     * @param {Buffer} buffer - ChannelData frame
+     * @param {Object} client - Sender
+     */
+    handleChannelData(buffer, client) {
+        const allocation = this.allocations.get(client.key);
+        if (!allocation) {
+            return;
+        }
+        const length = buffer.readUInt16BE(2);
+        const channel = allocation.channels.get(buffer.readUInt16BE(0));
+        if (!channel || channel.expiresAt <= Date.now() || buffer.length < 4 + length) {
+            return;
+        }
+        if (this.hasPermission(allocation, channel.address)) {
+            allocation.relaySocket.send(buffer.subarray(4, 4 + length), channel.port, channel.address);
+        }
+    }
+
+    /**
+     * Hand a datagram a peer sent to the relayed address over to the client,
+     * on its channel when one is bound
+     * @param {Object} allocation - Allocation owning the relayed address
+     * @param {Buffer} data - Datagram
+     * @param {Object} rinfo - Peer address
+     */
+    relayToClient(allocation, data, rinfo) {
+        if (!this.hasPermission(allocation, rinfo.address)) {
+            return;
+        }
+
+        const channel = this.findChannel(allocation, rinfo.address, rinfo.port);
+        if (channel !== null) {
+            const padded = allocation.client.transport === 'tcp' ? Math.ceil(data.length / 4) * 4 : data.length;
+            const frame = Buffer.alloc(4 + padded);
+            frame.writeUInt16BE(channel, 0);
+            frame.writeUInt16BE(data.length, 2);
+            data.copy(frame, 4);
+            allocation.client.send(frame);
+            return;
+        }
+
+        allocation.client.send(encodeMessage({
+            method: METHODS.DATA,
+            cls: CLASSES.INDICATION,
+            transactionId: crypto.randomBytes(12),
+            attributes: [
+                [ATTRIBUTES.XOR_PEER_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port)],
+                [ATTRIBUTES.DATA, data]
+            ]
+        }));
+    }
+
+    /**
+     * Channel currently bound to a peer
+     * @param {Object} allocation - Allocation
+     * @param {string} address - Peer IP
+     * @param {number} port - Peer port
+     * @returns {number|null} Channel number
+     */
+    findChannel(allocation, address, port) {
+        const now = Date.now();
+        for (const [number, channel] of allocation.channels) {
+            if (channel.expiresAt <= now) {
+                allocation.channels.delete(number);
+            } else if (channel.address === address && channel.port === port) {
+                return number;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether an allocation holds an unexpired permission for a peer IP
+     * @param {Object} allocation - Allocation
+     * @param {string} address - Peer IP
+     * @returns {boolean} True when traffic may flow
+     */
+    hasPermission(allocation, address) {
+        const expiresAt = allocation.permissions.get(address);
+        if (expiresAt && expiresAt <= Date.now()) {
+            allocation.permissions.delete(address);
+            return false;
+        }
+        return Boolean(expiresAt);
+    }
+
+    /**
+     * (Re)arm an allocation's expiry from the request's LIFETIME
+     * @param {Object} allocation - Allocation
+     * @param {Object} message - Allocate or Refresh request
+     * @returns {number} Granted lifetime in seconds; 0 means delete
+     */
+    refreshAllocation(allocation, message) {
+        const requested = getAttribute(message, ATTRIBUTES.LIFETIME);
+        let lifetime = requested && requested.length >= 4 ? requested.readUInt32BE(0) : DEFAULT_ALLOCATION_LIFETIME;
+        if (lifetime !== 0) {
+            lifetime = Math.min(Math.max(lifetime, DEFAULT_ALLOCATION_LIFETIME), MAX_ALLOCATION_LIFETIME);
+        }
+
+        clearTimeout(allocation.timer);
+        if (lifetime > 0) {
+            allocation.timer = setTimeout(() => this.deleteAllocation(allocation, 'expired'), lifetime * 1000);
+            allocation.timer.unref();
+        }
+        return lifetime;
+    }
+
+    /**
+     * Release an allocation's relayed address
+     * @param {Object} allocation - Allocation
+     * @param {string} reason - Why, for the log
+     */
+    deleteAllocation(allocation, reason) {
+        if (this.allocations.get(allocation.client.key) !== allocation) {
+            return;
+        }
+        clearTimeout(allocation.timer);
+        this.allocations.delete(allocation.client.key);
+        allocation.relaySocket.close();
+        log.info('TURN allocation closed', { client: allocation.client.key, relayPort: allocation.relayPort, reason });
+    }
+
+    /**
+     * Bind a UDP socket on a random free port of the relay range
+     * @returns {Promise<dgram.Socket|null>} Socket, or null when no port could be had
+     */
+    async bindRelaySocket() {
+        const [minPort, maxPort] = this.relayPortRange;
+        for (let attempt = 0; attempt < RELAY_BIND_ATTEMPTS; attempt++) {
+            const port = minPort + crypto.randomInt(maxPort - minPort + 1);
+            const socket = dgram.createSocket('udp4');
+            const bound = await new Promise(resolve => {
+                socket.once('error', () => resolve(false));
+                socket.bind(port, this.host, () => resolve(true));
+            });
+            if (bound) {
+                socket.removeAllListeners('error');
+                return socket;
+            }
+            socket.close();
+        }
+        log.warn('No free TURN relay port', { relayPorts: this.relayPortRange.join('-') });
+        return null;
+    }
+
+    /**
+     * Nonce binding a challenge to the time it was issued
+     * @returns {string} Nonce
+     */
+    createNonce() {
+        const issuedAt = Date.now().toString(16);
+        return `${issuedAt}.${crypto.createHmac('sha256', this.nonceKey).update(issuedAt).digest('hex').slice(0, 32)}`;
+    }
+
+    /**
+     * Whether a nonce is one of ours and not stale
+     * @param {string} nonce - Nonce from a request
+     * @returns {boolean} True when valid
+     */
+    isValidNonce(nonce) {
+        const [issuedAt, signature] = nonce.split('.');
+        if (!issuedAt || !signature || signature.length !== 32) {
+            return false;
+        }
+        const expected = crypto.createHmac('sha256', this.nonceKey).update(issuedAt).digest('hex').slice(0, 32);
+        return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature)) &&
+            Date.now() - parseInt(issuedAt, 16) < NONCE_LIFETIME * 1000;
+    }
+
+    /**
+     * Answer with a success response
+     * @param {Object} request - Decoded request
+     * @param {Object} client - Sender
+     * @param {Buffer|null} key - Integrity key for authenticated methods
+     * @param {Array} attributes - [[type, Buffer]]
+     * @returns {Buffer} Response sent
+     */
+    sendSuccess(request, client, key, attributes = []) {
+        const response = encodeMessage({
+            method: request.method,
+            cls: CLASSES.SUCCESS,
+            transactionId: request.transactionId,
+            attributes
+        }, key);
+        client.send(response);
+        return response;
+    }
+
+    /**
+     * Answer with an error response
+     * @param {Object} request - Decoded request
+     * @param {Object} client - Sender
+     * @param {number} code - One of ERROR_REASONS
+     * @param {Buffer|null} key - Integrity key once the request was authenticated
+     * @param {Array} attributes - Extra [[type, Buffer]]
+     */
+    sendError(request, client, code, key = null, attributes = []) {
+        const reason = Buffer.from(ERROR_REASONS[code]);
+        const errorCode = Buffer.alloc(4 + reason.length);
+        errorCode.writeUInt8(Math.floor(code / 100), 2);
+        errorCode.writeUInt8(code % 100, 3);
+        reason.copy(errorCode, 4);
+
+        client.send(encodeMessage({
+            method: request.method,
+            cls: CLASSES.ERROR,
+            transactionId: request.transactionId,
+            attributes: [[ATTRIBUTES.ERROR_CODE, errorCode], ...attributes]
+        }, key));
+    }
+
+    /**
+     * Answer 401 or 438 with the realm and a fresh nonce to authenticate with
+     * @param {Object} request - Decoded request
+     * @param {Object} client - Sender
+     * @param {number} code - 401 or 438
+     */
+    sendChallenge(request, client, code) {
+        this.sendError(request, client, code, null, [
+            [ATTRIBUTES.REALM, Buffer.from(this.realm)],
+            [ATTRIBUTES.NONCE, Buffer.from(this.createNonce())]
+        ]);
+    }
+}
+
+/**
+ * 32-bit big-endian attribute value
+ * @param {number} value - Unsigned integer
+ * @returns {Buffer} Four bytes
+ */
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return buffer;
+}
+
+/**
+ * Create the built-in STUN/TURN server from the environment
+ * @param {Object} options - { secret } overriding TURN_SECRET
+ * @returns {TurnServer|null} Server (not started yet), or null while BUILTIN_TURN_PORT is unset
+ */
+function createTurnServer(options = {}) {
+    const port = parseInt(process.env.BUILTIN_TURN_PORT, 10);
+    if (!port) {
+        return null;
+    }
+
+    return new TurnServer({
+        port,
+        host: process.env.BUILTIN_TURN_HOST || '0.0.0.0',
+        externalIp: process.env.BUILTIN_TURN_EXTERNAL_IP || detectExternalIp(),
+        realm: process.env.BUILTIN_TURN_REALM || 'quic-rtc-meet',
+        secret: options.secret || process.env.TURN_SECRET,
+        relayPortRange: (process.env.BUILTIN_TURN_RELAY_PORTS || '49152-65535').split('-').map(n => parseInt(n, 10)),
+        maxAllocations: parseInt(process.env.BUILTIN_TURN_MAX_ALLOCATIONS, 10) || 1000,
+        allowedPeers: (process.env.BUILTIN_TURN_ALLOWED_PEERS || '').split(',').map(cidr => cidr.trim()).filter(Boolean)
+    });
+}
+
+module.exports = {
+    METHODS,
+    ATTRIBUTES,
+    decodeMessage,
+    encodeMessage,
+    isForbiddenPeer,
+    parseCidr,
+    TurnServer,
+    createTurnServer
+};
@@ -0,0 +1,236 @@
+// Outgoing webhooks for room and participant lifecycle events.
+// Subscriptions live in the room store so every cluster worker sees the same
+// set; each event is POSTed as signed JSON by the process it happened in,
+// with retries and a per-subscription delivery log.
+
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhooks');
+
+const WEBHOOK_EVENTS = [
+    'room.created',
+    'room.emptied',
+    'room.deleted',
+    'participant.joined',
+    'participant.left',
+    'host.changed'
+];
+
+// Sent on demand to check that a receiver is reachable and verifies signatures
+const PING_EVENT = 'webhook.ping';
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 5,    // Including the first try
+    retryBaseMs: 1000, // Backoff doubles after every failed attempt
+    timeoutMs: 5000    // Per attempt
+};
+
+/**
+ * Whether a failed attempt is worth retrying: network errors, timeouts,
+ * rate limiting and server errors are; other client errors are not
+ * @param {number|null} statusCode - Response status, null if there was none
+ * @returns {boolean}
+ */
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Signs and delivers webhook events to subscribed receivers.
+ *
+ * Receivers verify the `X-Webhook-Signature` header, which is
+ * `sha256=<hex HMAC-SHA256>` over `<X-Webhook-Timestamp>.<raw body>`
+ * keyed with the subscription's secret.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {Object} store - Room store holding subscriptions and the delivery log
+     * @param {Object} cryptoUtils - CryptoUtils instance used for signing
+     * @param {Object} options - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(store, cryptoUtils, options = {}) {
+        this.store = store;
+        this.cryptoUtils = cryptoUtils;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Subscribe a receiver URL to lifecycle events
+     * @param {Object} subscription - { url, events, secret }; events default to all
+     * and a secret is generated if none is given
+     * @returns {Promise<Object>} Stored subscription, including its secret
+     */
+    async createSubscription({ url, events = WEBHOOK_EVENTS, secret }) {
+        const subscription = {
+            id: uuidv4(),
+            url,
+            events,
+            secret: secret || this.cryptoUtils.generateKey().toString('hex'),
+            createdAt: new Date()
+        };
+        await this.store.putWebhook(subscription);
+        return subscription;
+    }
+
+    /**
+     * List subscriptions without their secrets
+     * @returns {Promise<Object[]>} Subscriptions
+     */
+    async listSubscriptions() {
+        const subscriptions = await this.store.listWebhooks();
+        return subscriptions.map(({ secret, ...subscription }) => subscription);
+    }
+
+    /**
+     * Get one subscription without its secret
+     * @param {string} id - Subscription ID
+     * @returns {Promise<Object|null>} Subscription or null if missing
+     */
+    async getSubscription(id) {
+        const subscriptions = await this.listSubscriptions();
+        return subscriptions.find(subscription => subscription.id === id) || null;
+    }
+
+    /**
+     * Remove a subscription and its delivery log
+     * @param {string} id - Subscription ID
+     * @returns {Promise<boolean>} Whether the subscription existed
+     */
+    async deleteSubscription(id) {
+        return this.store.deleteWebhook(id);
+    }
+
+    /**
+     * Recent deliveries of a subscription, newest first
+     * @param {string} id - Subscription ID
+     * @returns {Promise<Object[]>} Delivery log entries
+     */
+    async listDeliveries(id) {
+        return this.store.listWebhookDeliveries(id);
+    }
+
+    /**
+     * Send an event to every subscription that wants it. Never throws and
+     * never waits for receivers, so callers can fire and forget.
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event details
+     */
+    dispatch(event, data) {
+        this.store.listWebhooks()
+            .then(subscriptions => {
+                subscriptions
+                    .filter(subscription => subscription.events.includes(event))
+                    .forEach(subscription => this.send(subscription, event, data));
+            })
+            .catch(error => log.error('Failed to dispatch webhook', { event, error }));
+    }
+
+    /**
+     * Send a ping event to one subscription
+     * @param {string} id - Subscription ID
+     * @returns {Promise<Object|null>} Initial delivery log entry, or null if the subscription is missing
+     */
+    async ping(id) {
+        const subscriptions = await this.store.listWebhooks();
+        const subscription = subscriptions.find(candidate => candidate.id === id);
+        return subscription ? this.send(subscription, PING_EVENT, { webhookId: id }) : null;
+    }
+
+    /**
+     * Start delivering one event to one subscription; retries happen in the background
+     * @returns {Promise<Object>} Delivery log entry as first recorded
+     */
+    async send(subscription, event, data) {
+        const delivery = {
+            id: uuidv4(),
+            webhookId: subscription.id,
+            event,
+            status: 'pending',
+            attempts: 0,
+            statusCode: null,
+            error: null,
+            createdAt: new Date(),
+            lastAttemptAt: null,
+            nextAttemptAt: null
+        };
+        const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data });
+
+        await this.store.putWebhookDelivery(delivery);
+        const recorded = { ...delivery };
+        this.attempt(subscription, delivery, body)
+            .catch(error => log.error('Webhook delivery failed', { deliveryId: delivery.id, error }));
+        return recorded;
+    }
+
+    // Retry a delivery unless its subscription was deleted in the meantime
+    async retry(subscription, delivery, body) {
+        const subscriptions = await this.store.listWebhooks();
+        if (subscriptions.some(candidate => candidate.id === subscription.id)) {
+            await this.attempt(subscription, delivery, body);
+        }
+    }
+
+    // One POST attempt; schedules the next one with exponential backoff on retryable failures
+    async attempt(subscription, delivery, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = new Date();
+        delivery.nextAttemptAt = null;
+
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'quic-nodejs-rtc-webhooks',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${this.cryptoUtils.createHMAC(`${timestamp}.${body}`, subscription.secret)}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.options.timeoutMs)
+            });
+            if (response.body) {
+                await response.body.cancel(); // Receivers' replies are not used; free the connection
+            }
+            delivery.statusCode = response.status;
+            delivery.error = response.ok ? null : `HTTP ${response.status}`;
+        } catch (error) {
+            delivery.statusCode = null;
+            delivery.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+        }
+
+        if (!delivery.error) {
+            delivery.status = 'delivered';
+        } else if (delivery.attempts < this.options.maxAttempts && isRetryable(delivery.statusCode)) {
+            const delay = this.options.retryBaseMs * 2 ** (delivery.attempts - 1);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(Date.now() + delay);
+            setTimeout(() => {
+                this.retry(subscription, delivery, body)
+                    .catch(error => log.error('Webhook delivery failed', { deliveryId: delivery.id, error }));
+            }, delay).unref();
+        } else {
+            delivery.status = 'failed';
+            log.warn('Webhook delivery gave up', {
+                webhookId: subscription.id,
+                deliveryId: delivery.id,
+                event: delivery.event,
+                url: subscription.url,
+                attempts: delivery.attempts,
+                reason: delivery.error
+            });
+        }
+
+        await this.store.putWebhookDelivery(delivery);
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    WebhookDispatcher
+};
@@ -1,6 +1,9 @@
 // WebTransport Server for QUIC-based data communication
 const { createServer } = require('http');
 const { WebSocketServer } = require('ws');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webtransport');
 
 class WebTransportServer {
     constructor(port = 3001) {
@@ -27,12 +30,12 @@ class WebTransportServer {
             });
 
             this.server.listen(this.port, () => {
-                console.log(`WebTransport (WebSocket fallback) server running on port ${this.port}`);
+                log.info('WebTransport (WebSocket fallback) server running', { port: this.port });
                 this.emit('started', { port: this.port });
             });
 
         } catch (error) {
-            console.error('Failed to start WebTransport server:', error);
+            log.error('Failed to start WebTransport server', error);
             this.emit('error', error);
             throw error;
         }
@@ -43,7 +46,7 @@ class WebTransportServer {
         const connectionId = this.generateConnectionId();
         this.connections.set(connectionId, ws);
         
-        console.log(`WebTransport (WebSocket) connection established: ${connectionId}`);
+        log.info('Connection established', { connectionId });
         this.emit('connection', { connectionId, ws });
         
         // Handle incoming messages
@@ -53,20 +56,20 @@ class WebTransportServer {
                 message.connectionId = connectionId;
                 this.emit('message', message);
             } catch (error) {
-                console.error('Error parsing message:', error);
+                log.warn('Error parsing message', { connectionId, error });
             }
         });
         
         // Handle connection close
         ws.on('close', () => {
-            console.log(`WebTransport (WebSocket) connection closed: ${connectionId}`);
+            log.info('Connection closed', { connectionId });
             this.connections.delete(connectionId);
             this.emit('disconnection', { connectionId });
         });
         
         // Handle errors
         ws.on('error', (error) => {
-            console.error(`WebSocket error for connection ${connectionId}:`, error);
+            log.error('WebSocket error', { connectionId, error });
             this.emit('error', { connectionId, error });
         });
     }
@@ -81,7 +84,7 @@ class WebTransportServer {
         try {
             ws.send(JSON.stringify(message));
         } catch (error) {
-            console.error('Error sending message:', error);
+            log.error('Error sending message', { connectionId, error });
             throw error;
         }
     }
@@ -90,7 +93,7 @@ class WebTransportServer {
     async broadcastMessage(message) {
         const promises = Array.from(this.connections.keys()).map(connectionId => 
             this.sendMessage(connectionId, message).catch(error => 
-                console.error(`Error broadcasting to ${connectionId}:`, error)
+                log.error('Error broadcasting', { connectionId, error })
             )
         );
         
@@ -111,7 +114,7 @@ class WebTransportServer {
                 try {
                     callback(data);
                 } catch (error) {
-                    console.error(`Error in event listener for ${event}:`, error);
+                    log.error('Error in event listener', { event, error });
                 }
             });
         }
@@ -127,29 +130,35 @@ class WebTransportServer {
         return this.connections.size;
     }
 
-    // Stop the server
+    // Stop the server. Open connections are closed first, otherwise the
+    // HTTP server would wait for them before it finishes closing.
     async stop() {
+        for (const [connectionId, ws] of this.connections) {
+            try {
+                ws.close(1001, 'Server shutting down');
+            } catch (error) {
+                log.error('Error closing connection', { connectionId, error });
+            }
+        }
+        this.connections.clear();
+
         if (this.wss) {
+            // Give clients a second to finish the close handshake, then drop the rest
+            const closeBy = Date.now() + 1000;
+            while (this.wss.clients.size > 0 && Date.now() < closeBy) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            this.wss.clients.forEach(ws => ws.terminate());
             this.wss.close();
         }
-        
-        if (this.server) {
+
+        if (this.server && this.server.listening) {
             await new Promise((resolve) => {
                 this.server.close(resolve);
             });
         }
-        
-        // Close all connections
-        for (const [connectionId, ws] of this.connections) {
-            try {
-                ws.close();
-            } catch (error) {
-                console.error(`Error closing connection ${connectionId}:`, error);
-            }
-        }
-        
-        this.connections.clear();
-        console.log('WebTransport server stopped');
+
+        log.info('WebTransport server stopped');
     }
 }
 